@@ -0,0 +1,268 @@
+/**
+ * Cross-Company Analytics
+ *
+ * Aggregates the company-wise CSVs into reports. Every report has the
+ * same shape - { title, columns: [{ key, label }], rows, summary } - so
+ * it can be printed as a table or exported to CSV/JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCompanies, getCompanyPeriods, loadProblems, loadPeriodForCompanies, splitTopics } = require('./dataset');
+const { extractSlug } = require('./scraper');
+
+const REPORTS = ['top', 'topics', 'trending', 'overlap'];
+
+/**
+ * Parse a CSV Frequency cell
+ */
+function frequencyOf(row) {
+  return parseFloat(row.Frequency) || 0;
+}
+
+/**
+ * Most-asked problems across companies (ranked by how many companies ask
+ * them, then by total frequency)
+ */
+async function mostAskedReport(companies = getCompanies(), limit = 20) {
+  const bySlug = new Map();
+
+  for (const { company, rows } of await loadPeriodForCompanies(companies, 'All')) {
+    for (const row of rows) {
+      const slug = extractSlug(row.Link);
+      if (!slug) continue;
+
+      if (!bySlug.has(slug)) {
+        bySlug.set(slug, {
+          slug,
+          title: row.Title,
+          difficulty: row.Difficulty,
+          companies: 0,
+          totalFrequency: 0,
+          acceptance: row['Acceptance Rate'],
+          topics: row.Topics,
+          companyNames: []
+        });
+      }
+
+      const entry = bySlug.get(slug);
+      entry.companies++;
+      entry.totalFrequency += frequencyOf(row);
+      entry.companyNames.push(company);
+    }
+  }
+
+  const ranked = [...bySlug.values()]
+    .sort((a, b) => b.companies - a.companies || b.totalFrequency - a.totalFrequency)
+    .slice(0, limit)
+    .map((entry, i) => ({
+      rank: i + 1,
+      ...entry,
+      totalFrequency: Math.round(entry.totalFrequency * 10) / 10,
+      companyNames: entry.companyNames.join('; ')
+    }));
+
+  return {
+    title: `Most-Asked Problems (${companies.length} compan${companies.length === 1 ? 'y' : 'ies'})`,
+    columns: [
+      { key: 'rank', label: '#' },
+      { key: 'title', label: 'Title' },
+      { key: 'difficulty', label: 'Difficulty' },
+      { key: 'companies', label: 'Companies' },
+      { key: 'totalFrequency', label: 'Total Freq' },
+      { key: 'acceptance', label: 'Acceptance' },
+      { key: 'topics', label: 'Topics' }
+    ],
+    rows: ranked,
+    summary: { companies: companies.length, 'distinct problems': bySlug.size }
+  };
+}
+
+/**
+ * Topic distribution per company (share of the company's problems per topic)
+ */
+async function topicDistributionReport(companies, limit = 10) {
+  const rows = [];
+
+  for (const { company, rows: problems } of await loadPeriodForCompanies(companies, 'All')) {
+    const counts = {};
+    for (const problem of problems) {
+      for (const topic of splitTopics(problem.Topics)) {
+        counts[topic] = (counts[topic] || 0) + 1;
+      }
+    }
+
+    Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .forEach(([topic, count]) => {
+        rows.push({
+          company,
+          topic,
+          problems: count,
+          share: problems.length > 0 ? Math.round((count / problems.length) * 1000) / 10 : 0
+        });
+      });
+  }
+
+  return {
+    title: 'Topic Distribution',
+    columns: [
+      { key: 'company', label: 'Company' },
+      { key: 'topic', label: 'Topic' },
+      { key: 'problems', label: 'Problems' },
+      { key: 'share', label: 'Share %' }
+    ],
+    rows,
+    summary: { companies: companies.length }
+  };
+}
+
+/**
+ * Problems trending up: asked in the last thirty days but weak in "All"
+ *
+ * Frequencies are normalised against each file's maximum; the trend is the
+ * recent share minus the all-time share (a problem missing from "All" counts
+ * as zero there)
+ */
+async function trendingReport(companies = getCompanies(), limit = 20) {
+  const rows = [];
+
+  for (const company of companies) {
+    const periods = getCompanyPeriods(company);
+    if (!periods.includes('Thirty Days')) continue;
+
+    const recent = await loadProblems(company, 'Thirty Days');
+    const all = periods.includes('All') ? await loadProblems(company, 'All') : [];
+    const recentMax = Math.max(0, ...recent.map(frequencyOf)) || 1;
+    const allMax = Math.max(0, ...all.map(frequencyOf)) || 1;
+    const allBySlug = new Map(all.map(row => [extractSlug(row.Link), row]));
+
+    for (const row of recent) {
+      const slug = extractSlug(row.Link);
+      const allRow = allBySlug.get(slug);
+      const recentShare = frequencyOf(row) / recentMax;
+      const allShare = allRow ? frequencyOf(allRow) / allMax : 0;
+      const trend = recentShare - allShare;
+
+      if (trend <= 0) continue;
+
+      rows.push({
+        company,
+        title: row.Title,
+        difficulty: row.Difficulty,
+        recentFrequency: frequencyOf(row),
+        allFrequency: allRow ? frequencyOf(allRow) : 0,
+        trend: Math.round(trend * 100) / 100
+      });
+    }
+  }
+
+  rows.sort((a, b) => b.trend - a.trend);
+
+  return {
+    title: 'Trending Up (Thirty Days vs All)',
+    columns: [
+      { key: 'company', label: 'Company' },
+      { key: 'title', label: 'Title' },
+      { key: 'difficulty', label: 'Difficulty' },
+      { key: 'recentFrequency', label: '30d Freq' },
+      { key: 'allFrequency', label: 'All Freq' },
+      { key: 'trend', label: 'Trend' }
+    ],
+    rows: rows.slice(0, limit),
+    summary: { companies: companies.length, trending: rows.length }
+  };
+}
+
+/**
+ * Overlap between two companies' "All" lists, shared problems first by
+ * combined frequency
+ */
+async function overlapReport(companyA, companyB, limit = 20) {
+  const [a, b] = await Promise.all([loadProblems(companyA, 'All'), loadProblems(companyB, 'All')]);
+  const bBySlug = new Map(b.map(row => [extractSlug(row.Link), row]));
+  const aSlugs = new Set(a.map(row => extractSlug(row.Link)));
+
+  const shared = a
+    .filter(row => bBySlug.has(extractSlug(row.Link)))
+    .map(row => {
+      const other = bBySlug.get(extractSlug(row.Link));
+      return {
+        title: row.Title,
+        difficulty: row.Difficulty,
+        frequencyA: frequencyOf(row),
+        frequencyB: frequencyOf(other),
+        combined: Math.round((frequencyOf(row) + frequencyOf(other)) * 10) / 10,
+        topics: row.Topics
+      };
+    })
+    .sort((x, y) => y.combined - x.combined);
+
+  const union = new Set([...aSlugs, ...bBySlug.keys()]).size;
+
+  return {
+    title: `Overlap: ${companyA} & ${companyB}`,
+    columns: [
+      { key: 'title', label: 'Title' },
+      { key: 'difficulty', label: 'Difficulty' },
+      { key: 'frequencyA', label: `${companyA} Freq` },
+      { key: 'frequencyB', label: `${companyB} Freq` },
+      { key: 'combined', label: 'Combined' },
+      { key: 'topics', label: 'Topics' }
+    ],
+    rows: shared.slice(0, limit),
+    summary: {
+      [companyA]: aSlugs.size,
+      [companyB]: bBySlug.size,
+      shared: shared.length,
+      [`only ${companyA}`]: aSlugs.size - shared.length,
+      [`only ${companyB}`]: bBySlug.size - shared.length,
+      jaccard: union > 0 ? Math.round((shared.length / union) * 1000) / 1000 : 0
+    }
+  };
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report's rows as CSV (header row uses the column labels)
+ */
+function reportToCSV(report) {
+  const lines = [report.columns.map(col => csvCell(col.label)).join(',')];
+  for (const row of report.rows) {
+    lines.push(report.columns.map(col => csvCell(row[col.key])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export a report; the file extension picks the format (.csv or .json)
+ */
+function exportReport(report, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext !== '.csv' && ext !== '.json') {
+    throw new Error(`Unsupported export format: ${filePath} (use .csv or .json)`);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  const content = ext === '.csv' ? reportToCSV(report) : JSON.stringify(report, null, 2);
+  fs.writeFileSync(filePath, content);
+  return path.resolve(filePath);
+}
+
+module.exports = {
+  REPORTS,
+  mostAskedReport,
+  topicDistributionReport,
+  trendingReport,
+  overlapReport,
+  reportToCSV,
+  exportReport
+};
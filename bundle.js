@@ -0,0 +1,339 @@
+/**
+ * Cache Bundles
+ *
+ * Packs cached problems into a .tar.gz bundle that another machine can
+ * import, so one person scrapes and the rest of the team works offline.
+ * A bundle holds manifest.json and problems/<slug>.json; the manifest has
+ * the format version, counts and a sha256 checksum per file.
+ *
+ * On import every file is checked against the manifest and every record
+ * is upgraded to the current schema and validated (see schema.js); bad
+ * entries are skipped and reported.
+ * A slug that is already cached keeps the newer record (by cached_at), and
+ * gets the union of both records' solutions and companies.
+ *
+ * The tar reader/writer below covers plain files only (ustar), which is
+ * all a bundle contains.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { loadCacheIndex, loadProblemCache, saveProblemCache } = require('./scraper');
+const { getRecordCompanies, upgradeProblemRecord, validateProblemRecord } = require('./schema');
+const { getCachedSolutions, toSolutionMap } = require('./solutions');
+
+const BUNDLE_FORMAT = 'interview-prep-cache';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a tar header field: text padded with NULs
+ */
+function writeField(header, offset, length, value) {
+  header.write(String(value).slice(0, length), offset, length, 'utf-8');
+}
+
+/**
+ * Build a ustar archive from [{ name, data }]
+ */
+function createTar(entries, mtime = new Date()) {
+  const blocks = [];
+
+  for (const { name, data } of entries) {
+    if (Buffer.byteLength(name) > 100) throw new Error(`Bundle entry name too long: ${name}`);
+
+    const header = Buffer.alloc(BLOCK_SIZE);
+    writeField(header, 0, 100, name);
+    writeField(header, 100, 8, '0000644\0');
+    writeField(header, 108, 8, '0000000\0');
+    writeField(header, 116, 8, '0000000\0');
+    writeField(header, 124, 12, `${data.length.toString(8).padStart(11, '0')}\0`);
+    writeField(header, 136, 12, `${Math.floor(mtime.getTime() / 1000).toString(8).padStart(11, '0')}\0`);
+    writeField(header, 148, 8, '        ');
+    writeField(header, 156, 1, '0');
+    writeField(header, 257, 6, 'ustar\0');
+    writeField(header, 263, 2, '00');
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+    blocks.push(header, data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  }
+
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the regular files of a ustar archive as [{ name, data }]
+ *
+ * Directory entries and pax/GNU extension headers are skipped
+ */
+function readTar(buffer) {
+  const entries = [];
+  let offset = 0;
+
+  const readString = (start, length) => {
+    const raw = buffer.subarray(start, start + length);
+    const end = raw.indexOf(0);
+    return raw.subarray(0, end === -1 ? length : end).toString('utf-8');
+  };
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(offset + 124, 12).trim() || '0', 8);
+    const type = readString(offset + 156, 1) || '0';
+    const prefix = readString(offset + 345, 155);
+    const name = prefix ? `${prefix}/${readString(offset, 100)}` : readString(offset, 100);
+
+    if (Number.isNaN(size)) throw new Error(`Corrupt bundle: bad size for ${name}`);
+
+    const start = offset + BLOCK_SIZE;
+    if (start + size > buffer.length) throw new Error(`Corrupt bundle: ${name} is truncated`);
+
+    if (type === '0') {
+      entries.push({ name: name.replace(/^\.\//, ''), data: buffer.subarray(start, start + size) });
+    }
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+/**
+ * sha256 of a buffer, hex
+ */
+function checksum(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Export cached problems (one company's, or all) to a .tar.gz bundle
+ *
+ * Returns { file, manifest }
+ */
+function exportBundle(outFile, options = {}) {
+  const { problems } = loadCacheIndex();
+  const company = options.company ? options.company.toLowerCase() : null;
+  const slugs = Object.keys(problems)
+    .filter(slug => !company || problems[slug].companies.some(name => name.toLowerCase() === company))
+    .sort();
+
+  const entries = [];
+  const files = {};
+  const companies = new Set();
+  let withSolutions = 0;
+
+  for (const slug of slugs) {
+    // Loaded records are already upgraded to the current schema
+    const record = loadProblemCache(slug);
+    if (!record) continue;
+
+    const name = `problems/${slug}.json`;
+    const data = Buffer.from(JSON.stringify(record, null, 2));
+    entries.push({ name, data });
+    files[name] = { sha256: checksum(data), bytes: data.length };
+
+    record.companies.forEach(m => companies.add(m.name));
+    if (getCachedSolutions(record).length > 0) withSolutions++;
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    company: options.company || null,
+    counts: {
+      problems: entries.length,
+      withSolutions,
+      companies: companies.size
+    },
+    companies: [...companies].sort(),
+    files
+  };
+
+  const tar = createTar([{ name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2)) }, ...entries]);
+  const file = path.resolve(outFile);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, zlib.gzipSync(tar));
+  fs.renameSync(tmpPath, file);
+
+  return { file, manifest };
+}
+
+/**
+ * Read and check a bundle
+ *
+ * Throws when the file is not a bundle this version can read. Returns
+ * { manifest, records: [{ name, record }], invalid: [{ name, errors }] }
+ */
+function readBundle(file) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(fs.readFileSync(file));
+  } catch (err) {
+    throw new Error(`Not a gzip bundle: ${file} (${err.message})`);
+  }
+
+  const entries = readTar(tar);
+  const manifestEntry = entries.find(e => e.name === MANIFEST_NAME);
+  if (!manifestEntry) throw new Error(`Not a cache bundle: ${file} has no ${MANIFEST_NAME}`);
+
+  const manifest = JSON.parse(manifestEntry.data.toString('utf-8'));
+  if (manifest.format !== BUNDLE_FORMAT) throw new Error(`Not a cache bundle: unknown format ${JSON.stringify(manifest.format)}`);
+  if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${manifest.version} is newer than this tool supports (${BUNDLE_VERSION}) - update the tool first`);
+  }
+
+  const records = [];
+  const invalid = [];
+  const seen = new Set();
+
+  for (const { name, data } of entries) {
+    if (name === MANIFEST_NAME) continue;
+    seen.add(name);
+
+    const listed = manifest.files && manifest.files[name];
+    const match = name.match(/^problems\/([a-z0-9-]+)\.json$/);
+    if (!listed) {
+      invalid.push({ name, errors: ['not listed in the manifest'] });
+      continue;
+    }
+    if (checksum(data) !== listed.sha256) {
+      invalid.push({ name, errors: ['checksum mismatch'] });
+      continue;
+    }
+    if (!match) {
+      invalid.push({ name, errors: ['not a problems/<slug>.json file'] });
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(data.toString('utf-8'));
+    } catch (err) {
+      invalid.push({ name, errors: [`invalid JSON: ${err.message}`] });
+      continue;
+    }
+
+    // Bundles exported by older versions hold older records
+    record = upgradeProblemRecord(record, match[1]);
+    const errors = validateProblemRecord(record);
+    if (record && record.slug !== match[1]) errors.push(`slug ${JSON.stringify(record.slug)} does not match the file name`);
+    if (errors.length > 0) {
+      invalid.push({ name, errors });
+      continue;
+    }
+
+    records.push({ name, record });
+  }
+
+  for (const name of Object.keys(manifest.files || {})) {
+    if (!seen.has(name)) invalid.push({ name, errors: ['listed in the manifest but missing'] });
+  }
+
+  return { manifest, records, invalid };
+}
+
+/**
+ * A record's solutions keyed by provider and language (legacy neetcodeSolution included)
+ */
+function getSolutionMap(record) {
+  return toSolutionMap(getCachedSolutions(record));
+}
+
+/**
+ * Merge two copies of a problem
+ *
+ * The newer copy (by cached_at) wins; solutions are combined per provider
+ * and language (newer fetchedAt wins) and companies are combined by name (the newer
+ * copy's frequency and periods win)
+ */
+function mergeProblemRecords(existing, incoming) {
+  const newer = new Date(incoming.cached_at) > new Date(existing.cached_at) ? incoming : existing;
+  const older = newer === incoming ? existing : incoming;
+
+  const solutions = getSolutionMap(older);
+  for (const [key, entry] of Object.entries(getSolutionMap(newer))) {
+    const other = solutions[key];
+    if (!other || !other.fetchedAt || new Date(entry.fetchedAt) >= new Date(other.fetchedAt)) {
+      solutions[key] = entry;
+    }
+  }
+
+  const companies = new Map(getRecordCompanies(older).map(m => [m.name, m]));
+  getRecordCompanies(newer).forEach(m => companies.set(m.name, m));
+
+  const merged = {
+    ...newer,
+    solutions,
+    companies: [...companies.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+  delete merged.neetcodeSolution;
+  delete merged.company;
+  return merged;
+}
+
+/**
+ * JSON with object keys sorted, for comparing records
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, v) => (
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+      : v
+  ));
+}
+
+/**
+ * Import a bundle into the cache
+ *
+ * options: { dryRun }. Returns { manifest, added, updated, unchanged,
+ * invalid: [{ name, errors }] } with slugs in added/updated/unchanged
+ */
+function importBundle(file, options = {}) {
+  const { manifest, records, invalid } = readBundle(file);
+  const result = { manifest, added: [], updated: [], unchanged: [], invalid };
+
+  for (const { record } of records) {
+    const existing = loadProblemCache(record.slug);
+
+    if (!existing) {
+      if (!options.dryRun) saveProblemCache(record.slug, record);
+      result.added.push(record.slug);
+      continue;
+    }
+
+    const merged = mergeProblemRecords(existing, record);
+    // Merging the existing record with itself normalizes it the same way
+    if (canonicalJson(merged) === canonicalJson(mergeProblemRecords(existing, existing))) {
+      result.unchanged.push(record.slug);
+      continue;
+    }
+
+    if (!options.dryRun) saveProblemCache(record.slug, merged);
+    result.updated.push(record.slug);
+  }
+
+  return result;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  createTar,
+  readTar,
+  exportBundle,
+  readBundle,
+  mergeProblemRecords,
+  importBundle
+};
@@ -0,0 +1,169 @@
+/**
+ * HTTP Client
+ *
+ * Every request to LeetCode and the solution sites goes through the client
+ * returned by getHttpClient(), so it can be swapped out (setHttpClient) or
+ * switched to fixtures:
+ *
+ * - live:   plain axios (default)
+ * - record: axios, and every response (errors included) is also saved as
+ *           a fixture file
+ * - replay: answers from the fixture files only - no network; a request
+ *           without a fixture fails with code ENOFIXTURE
+ *
+ * The mode comes from LEETCODE_HTTP_MODE and the fixture folder from
+ * LEETCODE_FIXTURES_DIR (default fixtures/). Responses look like axios
+ * responses ({ status, statusText, headers, data }) and HTTP errors are
+ * thrown with error.response set, in every mode.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HTTP_MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Client used by the scraper and solution providers (created on first use)
+let currentClient = null;
+
+/**
+ * Fixture file name for a request: host and path for readability, plus a
+ * hash of the method, URL and body so different queries don't collide
+ */
+function getFixtureName(method, url, data) {
+  const body = data === undefined ? '' : JSON.stringify(data);
+  const hash = crypto.createHash('sha1').update(`${method.toUpperCase()} ${url}\n${body}`).digest('hex').slice(0, 12);
+
+  const { hostname, pathname } = new URL(url);
+  const readable = `${hostname}${pathname}`.replace(/[^\w.-]+/g, '_').replace(/_+$/, '');
+  const variables = data && data.variables ? `-${Object.values(data.variables).filter(v => typeof v !== 'object').join('_')}` : '';
+
+  return `${method.toLowerCase()}-${readable}${variables}-${hash}.json`.replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Build an axios-style error for a non-2xx response
+ */
+function createResponseError(method, url, response) {
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.config = { method, url };
+  error.response = response;
+  return error;
+}
+
+/**
+ * Keep the parts of an axios response that a fixture needs
+ */
+function toFixtureResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: { ...(response.headers || {}) },
+    data: response.data
+  };
+}
+
+/**
+ * Save a fixture (temp file + rename so replays never see a partial file)
+ */
+function writeFixture(fixturesDir, name, request, response) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  const filePath = path.join(fixturesDir, name);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ request, response, recordedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+/**
+ * Create an HTTP client
+ *
+ * options: { mode ('live' | 'record' | 'replay'), fixturesDir, http (the
+ * underlying client, axios by default) }
+ */
+function createHttpClient(options = {}) {
+  const mode = options.mode || 'live';
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const http = options.http || axios;
+
+  if (!HTTP_MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP mode: ${mode} (use ${HTTP_MODES.join(', ')})`);
+  }
+
+  const replay = (method, url, data) => {
+    const name = getFixtureName(method, url, data);
+    const filePath = path.join(fixturesDir, name);
+
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(`No fixture for ${method.toUpperCase()} ${url} (expected ${name})`);
+      error.code = 'ENOFIXTURE';
+      // Replays must not retry a request that can never succeed
+      error.retryable = false;
+      throw error;
+    }
+
+    const { response } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (response.status < 200 || response.status >= 300) {
+      throw createResponseError(method, url, response);
+    }
+    return response;
+  };
+
+  const send = async (method, url, data, config = {}) => {
+    if (mode === 'replay') return replay(method, url, data);
+
+    const request = () => (method === 'get' ? http.get(url, config) : http.post(url, data, config));
+    if (mode === 'live') return request();
+
+    const name = getFixtureName(method, url, data);
+    const recorded = { method: method.toUpperCase(), url, data };
+    try {
+      const response = await request();
+      writeFixture(fixturesDir, name, recorded, toFixtureResponse(response));
+      return response;
+    } catch (error) {
+      // HTTP errors (404, 429, ...) are worth replaying too; network errors are not
+      if (error.response) writeFixture(fixturesDir, name, recorded, toFixtureResponse(error.response));
+      throw error;
+    }
+  };
+
+  return {
+    mode,
+    fixturesDir,
+    get: (url, config) => send('get', url, undefined, config),
+    post: (url, data, config) => send('post', url, data, config)
+  };
+}
+
+/**
+ * Get the shared client, created from LEETCODE_HTTP_MODE and
+ * LEETCODE_FIXTURES_DIR on first use
+ */
+function getHttpClient() {
+  if (!currentClient) {
+    currentClient = createHttpClient({
+      mode: process.env.LEETCODE_HTTP_MODE || 'live',
+      fixturesDir: process.env.LEETCODE_FIXTURES_DIR ? path.resolve(process.env.LEETCODE_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR
+    });
+  }
+  return currentClient;
+}
+
+/**
+ * Replace the shared client (null goes back to the environment default)
+ */
+function setHttpClient(client) {
+  currentClient = client;
+}
+
+module.exports = {
+  HTTP_MODES,
+  DEFAULT_FIXTURES_DIR,
+  getFixtureName,
+  createHttpClient,
+  getHttpClient,
+  setHttpClient
+};
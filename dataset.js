@@ -0,0 +1,134 @@
+/**
+ * Company Problem Dataset
+ *
+ * Reads the company-wise CSV files: one folder per company with one file
+ * per time period (1. Thirty Days.csv ... 5. All.csv)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+const DATA_DIR = path.join(__dirname, 'company-wise-leetcode', 'leetcode-company-wise-problems');
+
+// Time periods in file order, most recent first
+const PERIODS = ['Thirty Days', 'Three Months', 'Six Months', 'More Than Six Months', 'All'];
+
+/**
+ * Get list of companies
+ */
+function getCompanies() {
+  return fs.readdirSync(DATA_DIR).filter(file => {
+    if (file.startsWith('.')) return false;
+    return fs.statSync(path.join(DATA_DIR, file)).isDirectory();
+  }).sort();
+}
+
+/**
+ * Find a company folder by name, ignoring case (null if not found)
+ */
+function findCompany(name) {
+  if (!name) return null;
+  return getCompanies().find(comp => comp.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Get the time periods a company has CSV files for
+ */
+function getCompanyPeriods(company) {
+  const files = fs.readdirSync(path.join(DATA_DIR, company)).filter(f => f.endsWith('.csv'));
+  const available = files.map(f => f.replace(/^[\d.]+\s+/, '').replace('.csv', ''));
+  return PERIODS.filter(p => available.includes(p));
+}
+
+/**
+ * Parse CSV file for a company
+ */
+function loadProblems(company, timePeriod = 'All') {
+  return new Promise((resolve, reject) => {
+    const problems = [];
+    const companyDir = path.join(DATA_DIR, company);
+
+    const files = fs.readdirSync(companyDir).filter(f => f.endsWith('.csv'));
+    const matchingFile = files.find(f => {
+      const cleanedName = f.replace(/^[\d.]+\s+/, '').replace('.csv', '');
+      return cleanedName === timePeriod;
+    });
+
+    if (!matchingFile) {
+      reject(new Error(`Time period not found: ${timePeriod}`));
+      return;
+    }
+
+    const filePath = path.join(companyDir, matchingFile);
+
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => {
+        problems.push(row);
+      })
+      .on('end', () => {
+        resolve(problems);
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * Load every time period a company has, keyed by period name
+ */
+async function loadCompanyPeriods(company) {
+  const periods = {};
+  for (const period of getCompanyPeriods(company)) {
+    periods[period] = await loadProblems(company, period);
+  }
+  return periods;
+}
+
+/**
+ * Load one period for each company, skipping companies without that file
+ *
+ * Returns [{ company, rows }]
+ */
+async function loadPeriodForCompanies(companies, period) {
+  const loaded = [];
+  for (const company of companies) {
+    if (!getCompanyPeriods(company).includes(period)) continue;
+    loaded.push({ company, rows: await loadProblems(company, period) });
+  }
+  return loaded;
+}
+
+/**
+ * Split a CSV Topics cell (or a --topic value) into topic names
+ */
+function splitTopics(topics) {
+  return (topics || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Check a problem's topics against a topic filter, ignoring case
+ *
+ * mode 'any' needs one of the topics, 'all' needs every one. An empty
+ * filter matches everything.
+ */
+function matchesTopics(problemTopics, topics, mode = 'any') {
+  if (!topics || topics.length === 0) return true;
+
+  const have = new Set(problemTopics.map(t => t.toLowerCase()));
+  const check = topic => have.has(topic.toLowerCase());
+  return mode === 'all' ? topics.every(check) : topics.some(check);
+}
+
+module.exports = {
+  DATA_DIR,
+  PERIODS,
+  getCompanies,
+  findCompany,
+  getCompanyPeriods,
+  loadProblems,
+  loadCompanyPeriods,
+  loadPeriodForCompanies,
+  splitTopics,
+  matchesTopics
+};
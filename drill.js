@@ -0,0 +1,80 @@
+/**
+ * Topic Drills
+ *
+ * Lines up the problems of one topic as a progression: easy first, then
+ * medium, then hard, and within each difficulty the most frequently asked
+ * first. For one company that is its CSV frequency; across companies a
+ * problem asked by more companies comes first (ties go to the higher
+ * total frequency), the same ranking as "analyze top".
+ */
+
+const { getCompanies, loadPeriodForCompanies, splitTopics, matchesTopics } = require('./dataset');
+const { extractSlug } = require('./scraper');
+
+const DIFFICULTY_ORDER = { EASY: 1, MEDIUM: 2, HARD: 3 };
+
+/**
+ * Topic names that contain the given text or are contained in it, for
+ * "did you mean" suggestions
+ */
+function suggestTopics(rows, topic, limit = 5) {
+  const needle = topic.toLowerCase();
+  const isSimilar = name => name.toLowerCase().includes(needle) || needle.includes(name.toLowerCase());
+  const names = new Set();
+  for (const row of rows) {
+    splitTopics(row.Topics).filter(isSimilar).forEach(t => names.add(t));
+  }
+  return [...names].sort().slice(0, limit);
+}
+
+/**
+ * Build the drill for a topic
+ *
+ * options: { company, period, exclude (set of slugs to leave out) }.
+ * Returns { problems, excluded, suggestions } - problems are CSV rows with
+ * slug, companies and frequency added, in drill order; excluded counts the
+ * matching problems left out; suggestions lists similar topic names when
+ * nothing matched at all.
+ */
+async function buildDrill(topic, options = {}) {
+  const companies = options.company ? [options.company] : getCompanies();
+  const exclude = options.exclude || new Set();
+  const bySlug = new Map();
+  const excluded = new Set();
+  const allRows = [];
+
+  for (const { company, rows } of await loadPeriodForCompanies(companies, options.period || 'All')) {
+    allRows.push(...rows);
+
+    for (const row of rows) {
+      const slug = extractSlug(row.Link);
+      if (!slug || !DIFFICULTY_ORDER[row.Difficulty] || !matchesTopics(splitTopics(row.Topics), [topic])) continue;
+      if (exclude.has(slug)) {
+        excluded.add(slug);
+        continue;
+      }
+
+      if (!bySlug.has(slug)) bySlug.set(slug, { ...row, slug, companies: [], frequency: 0 });
+      const problem = bySlug.get(slug);
+      problem.companies.push(company);
+      problem.frequency += parseFloat(row.Frequency) || 0;
+    }
+  }
+
+  const problems = [...bySlug.values()].sort((a, b) =>
+    DIFFICULTY_ORDER[a.Difficulty] - DIFFICULTY_ORDER[b.Difficulty] ||
+    b.companies.length - a.companies.length ||
+    b.frequency - a.frequency ||
+    a.Title.localeCompare(b.Title)
+  );
+
+  return {
+    problems,
+    excluded: excluded.size,
+    suggestions: problems.length === 0 && excluded.size === 0 ? suggestTopics(allRows, topic) : []
+  };
+}
+
+module.exports = {
+  buildDrill
+};
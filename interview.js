@@ -0,0 +1,178 @@
+/**
+ * Mock Interview Sessions
+ *
+ * Timed interview rounds with staged hint reveal. Each session is written
+ * to its own JSON report under interview-sessions/ when it finishes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSIONS_DIR = path.join(__dirname, 'interview-sessions');
+const MINUTE_MS = 60 * 1000;
+
+// Countdown per difficulty, in minutes
+const INTERVIEW_MINUTES = {
+  EASY: 20,
+  MEDIUM: 35,
+  HARD: 50
+};
+
+// Minutes added to a round's adjusted time for every hint revealed
+const HINT_PENALTY_MINUTES = 5;
+
+/**
+ * Get the time limit for a problem (an explicit override wins)
+ */
+function getTimeLimitMinutes(difficulty, override = null) {
+  if (override) return override;
+  return INTERVIEW_MINUTES[(difficulty || '').toUpperCase()] || INTERVIEW_MINUTES.MEDIUM;
+}
+
+/**
+ * Create a new session
+ */
+function createSession(options = {}, now = new Date()) {
+  return {
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    company: options.company || null,
+    period: options.period || null,
+    difficulty: options.difficulty || null,
+    language: options.lang || 'python3',
+    hintPenaltyMinutes: HINT_PENALTY_MINUTES,
+    rounds: []
+  };
+}
+
+/**
+ * Start a timed round for a problem and add it to the session
+ */
+function startRound(session, problem, options = {}, now = new Date()) {
+  const round = {
+    slug: problem.slug,
+    title: problem.title,
+    difficulty: problem.difficulty,
+    directory: options.directory || null,
+    timeLimitMinutes: getTimeLimitMinutes(problem.difficulty, options.minutes),
+    hintsAvailable: options.hintsAvailable || 0,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    hints: []
+  };
+
+  session.rounds.push(round);
+  return round;
+}
+
+/**
+ * Milliseconds left on a round's countdown (negative once over time)
+ */
+function getRemainingMs(round, now = new Date()) {
+  const deadline = new Date(round.startedAt).getTime() + round.timeLimitMinutes * MINUTE_MS;
+  return deadline - now.getTime();
+}
+
+/**
+ * Format a millisecond duration as mm:ss
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Reveal the next hint for a round, logging when it was taken and its penalty
+ *
+ * Returns null when every hint has already been revealed
+ */
+function revealHint(round, hints, now = new Date()) {
+  const index = round.hints.length;
+  if (index >= hints.length) return null;
+
+  const entry = {
+    number: index + 1,
+    revealedAt: now.toISOString(),
+    elapsedMinutes: Math.round((now - new Date(round.startedAt)) / MINUTE_MS),
+    penaltyMinutes: HINT_PENALTY_MINUTES
+  };
+  round.hints.push(entry);
+
+  return { ...entry, text: hints[index] };
+}
+
+/**
+ * Close a round with its outcome
+ *
+ * outcome is { passed, gaveUp, examplesPassed, examplesTotal }
+ */
+function finishRound(round, outcome, now = new Date()) {
+  const elapsedMs = now - new Date(round.startedAt);
+  const penaltyMinutes = round.hints.reduce((sum, h) => sum + h.penaltyMinutes, 0);
+
+  round.finishedAt = now.toISOString();
+  round.elapsedMinutes = Math.round((elapsedMs / MINUTE_MS) * 10) / 10;
+  round.penaltyMinutes = penaltyMinutes;
+  round.adjustedMinutes = Math.round((round.elapsedMinutes + penaltyMinutes) * 10) / 10;
+  round.hintsUsed = round.hints.length;
+  round.overTime = round.adjustedMinutes > round.timeLimitMinutes;
+  round.passed = Boolean(outcome.passed);
+  round.gaveUp = Boolean(outcome.gaveUp);
+  if (outcome.examplesTotal !== undefined) {
+    round.examplesPassed = outcome.examplesPassed;
+    round.examplesTotal = outcome.examplesTotal;
+  }
+
+  return round;
+}
+
+/**
+ * Summarize a session's rounds
+ */
+function summarizeSession(session) {
+  const finished = session.rounds.filter(r => r.finishedAt);
+  return {
+    rounds: finished.length,
+    passed: finished.filter(r => r.passed).length,
+    passedInTime: finished.filter(r => r.passed && !r.overTime).length,
+    hintsUsed: finished.reduce((sum, r) => sum + r.hintsUsed, 0),
+    elapsedMinutes: Math.round(finished.reduce((sum, r) => sum + r.elapsedMinutes, 0) * 10) / 10,
+    penaltyMinutes: finished.reduce((sum, r) => sum + r.penaltyMinutes, 0)
+  };
+}
+
+/**
+ * Write the session report (temp file + rename so a crash can't truncate it)
+ *
+ * Defaults to interview-sessions/<start time>.json
+ */
+function saveSessionReport(session, reportPath = null, now = new Date()) {
+  session.finishedAt = now.toISOString();
+  session.summary = summarizeSession(session);
+
+  const filePath = reportPath || path.join(SESSIONS_DIR, `${session.startedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(session, null, 2));
+  fs.renameSync(tmpPath, filePath);
+
+  return filePath;
+}
+
+module.exports = {
+  INTERVIEW_MINUTES,
+  HINT_PENALTY_MINUTES,
+  SESSIONS_DIR,
+  getTimeLimitMinutes,
+  createSession,
+  startRound,
+  getRemainingMs,
+  formatDuration,
+  revealHint,
+  finishRound,
+  summarizeSession,
+  saveSessionReport
+};
@@ -0,0 +1,582 @@
+/**
+ * Language Templates
+ *
+ * Skeleton and test harness generation for the non-Python languages.
+ * Each language parses its own LeetCode code snippet for the method
+ * signature and renders the example inputs as native literals.
+ */
+
+const { getSignature, parseTestCases, describeMetaType } = require('./testcases');
+const { NODE_TYPES } = require('./structures');
+
+// Scalar types every harness knows how to build literals for
+const SUPPORTED_BASES = ['int', 'long', 'double', 'bool', 'string', 'char'];
+
+/**
+ * Split a parameter list on commas that are not nested in <>, [] or ()
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of text) {
+    if ('<[('.includes(ch)) depth++;
+    if ('>])'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Describe a native type as { base, dims, list } so literals can be rendered
+ *
+ * base is one of SUPPORTED_BASES or the raw type name (e.g. ListNode),
+ * dims is the array/list nesting depth and list marks Java collections
+ */
+function describeType(nativeType, scalarMap) {
+  let type = nativeType.replace(/\bconst\b|&|\s+/g, ' ').trim();
+  let dims = 0;
+  let list = false;
+
+  for (;;) {
+    let match;
+    if ((match = type.match(/^(?:vector|List|ArrayList)\s*<\s*(.+)\s*>$/))) {
+      list = list || /^(List|ArrayList)/.test(type);
+      type = match[1].trim();
+      dims++;
+    } else if (type.endsWith('[]')) {
+      type = type.slice(0, -2).trim();
+      dims++;
+    } else if (type.startsWith('[]')) {
+      type = type.slice(2).trim();
+      dims++;
+    } else {
+      break;
+    }
+  }
+
+  return { base: scalarMap[type] || type, dims, list, native: nativeType.replace(/\bconst\b|&/g, '').trim() };
+}
+
+/**
+ * Quote a character literal for C-family languages
+ */
+function charLiteral(value) {
+  const ch = String(value);
+  if (ch === '\'' || ch === '\\') return `'\\${ch}'`;
+  return `'${ch}'`;
+}
+
+/**
+ * Render a scalar JSON value for a C-family language
+ */
+function scalarLiteral(value, base, longSuffix = '') {
+  switch (base) {
+    case 'string': return JSON.stringify(value);
+    case 'char': return charLiteral(value);
+    case 'long': return `${value}${longSuffix}`;
+    default: return String(value);
+  }
+}
+
+const JAVA_SCALARS = {
+  int: 'int', Integer: 'int', long: 'long', Long: 'long', double: 'double', Double: 'double',
+  boolean: 'bool', Boolean: 'bool', String: 'string', char: 'char', Character: 'char'
+};
+
+const CPP_SCALARS = {
+  int: 'int', long: 'long', 'long long': 'long', double: 'double', bool: 'bool', string: 'string', char: 'char'
+};
+
+const GO_SCALARS = {
+  int: 'int', int32: 'int', int64: 'long', float64: 'double', bool: 'bool', string: 'string', byte: 'char', rune: 'char'
+};
+
+const JS_SCALARS = {
+  number: 'double', string: 'string', boolean: 'bool', character: 'char'
+};
+
+/**
+ * Render a Java literal for a JSON value
+ */
+function javaLiteral(value, desc, dims = desc.dims) {
+  if (dims === 0) {
+    if (desc.base === 'double' && Number.isInteger(value)) return `${value}.0`;
+    return scalarLiteral(value, desc.base, 'L');
+  }
+
+  const items = value.map(v => javaLiteral(v, desc, dims - 1));
+  if (desc.list) {
+    return `new ArrayList<>(List.of(${items.join(', ')}))`;
+  }
+
+  // Only the outermost array needs the "new T[]" prefix
+  const body = `{${items.join(', ')}}`;
+  return dims === desc.dims ? `new ${desc.native}${body}` : body;
+}
+
+/**
+ * Render a C++ brace-initializer for a JSON value
+ */
+function cppLiteral(value, desc, dims = desc.dims) {
+  if (dims === 0) return scalarLiteral(value, desc.base, 'LL');
+  return `{${value.map(v => cppLiteral(v, desc, dims - 1)).join(', ')}}`;
+}
+
+/**
+ * Render a Go composite literal for a JSON value
+ */
+function goLiteral(value, desc, dims = desc.dims) {
+  if (dims === 0) return scalarLiteral(value, desc.base);
+
+  // Inner composite literals may elide their type
+  const body = `{${value.map(v => goLiteral(v, desc, dims - 1)).join(', ')}}`;
+  return dims === desc.dims ? `${desc.native}${body}` : body;
+}
+
+/**
+ * Render a JavaScript/TypeScript literal for a JSON value
+ */
+function jsLiteral(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Parse "Type name" parameters (Java and C++)
+ */
+function parseTypedParams(paramText) {
+  return splitTopLevel(paramText).map(param => {
+    const match = param.match(/^(.*?)([\w]+)$/);
+    return { name: match[2], type: match[1].trim() };
+  });
+}
+
+/**
+ * Parse a Java Solution method signature
+ */
+function parseJavaSignature(code) {
+  const match = code.match(/public\s+([\w<>\[\],\s]+?)\s+(\w+)\s*\(([^)]*)\)\s*\{/);
+  if (!match || !/class\s+Solution\b/.test(code)) return null;
+
+  return {
+    name: match[2],
+    returnType: match[1].trim(),
+    params: parseTypedParams(match[3])
+  };
+}
+
+/**
+ * Parse a C++ Solution method signature
+ */
+function parseCppSignature(code) {
+  const body = code.substring(code.indexOf('public:') + 7);
+  const match = body.match(/([\w<>:,\s*&]+?)\s*\b(\w+)\s*\(([^)]*)\)\s*\{/);
+  if (!match || !/class\s+Solution\b/.test(code)) return null;
+
+  return {
+    name: match[2],
+    returnType: match[1].trim(),
+    params: parseTypedParams(match[3]).map(p => ({ name: p.name, type: p.type.replace(/&/g, '').trim() }))
+  };
+}
+
+/**
+ * Parse a Go function signature (handles grouped params like "a, b int")
+ */
+function parseGoSignature(code) {
+  const match = code.match(/func\s+(\w+)\s*\(([^)]*)\)\s*([^{]*)\{/);
+  if (!match || /func\s+Constructor\s*\(/.test(code)) return null;
+
+  const params = splitTopLevel(match[2]).map(param => {
+    const [name, ...typeParts] = param.split(/\s+/);
+    return { name, type: typeParts.join(' ') || null };
+  });
+
+  // Grouped params inherit the type of the next typed param
+  for (let i = params.length - 1; i >= 0; i--) {
+    if (!params[i].type && params[i + 1]) params[i].type = params[i + 1].type;
+  }
+
+  return { name: match[1], returnType: match[3].trim(), params };
+}
+
+/**
+ * Parse a JavaScript function signature, taking types from the JSDoc block
+ */
+function parseJavaScriptSignature(code) {
+  const match = code.match(/var\s+(\w+)\s*=\s*function\s*\(([^)]*)\)/);
+  if (!match || /\.prototype\./.test(code)) return null;
+
+  const jsdocTypes = {};
+  for (const doc of code.matchAll(/@param\s+\{([^}]+)\}\s+(\w+)/g)) {
+    jsdocTypes[doc[2]] = doc[1];
+  }
+  const returnMatch = code.match(/@return\s+\{([^}]+)\}/);
+
+  return {
+    name: match[1],
+    returnType: returnMatch ? returnMatch[1] : 'any',
+    params: splitTopLevel(match[2]).map(name => ({ name, type: jsdocTypes[name] || 'any' }))
+  };
+}
+
+/**
+ * Parse a TypeScript function signature
+ */
+function parseTypeScriptSignature(code) {
+  const match = code.match(/function\s+(\w+)\s*\(([^)]*)\)\s*:\s*([^{]+)\{/);
+  if (!match) return null;
+
+  return {
+    name: match[1],
+    returnType: match[3].trim(),
+    params: splitTopLevel(match[2]).map(param => {
+      const [name, ...typeParts] = param.split(':');
+      return { name: name.trim(), type: typeParts.join(':').trim() };
+    })
+  };
+}
+
+/**
+ * Check whether a return type means the method works in place
+ */
+function isVoid(returnType) {
+  return !returnType || returnType === 'void';
+}
+
+/**
+ * Indent every line of a block
+ */
+function indent(text, spaces) {
+  const pad = ' '.repeat(spaces);
+  return text.split('\n').map(line => (line ? pad + line : line)).join('\n');
+}
+
+const JAVA_FORMATTER = `static String fmt(Object o) {
+    if (o == null) return "null";
+    if (o instanceof int[]) return Arrays.toString((int[]) o);
+    if (o instanceof long[]) return Arrays.toString((long[]) o);
+    if (o instanceof double[]) return Arrays.toString((double[]) o);
+    if (o instanceof char[]) return Arrays.toString((char[]) o);
+    if (o instanceof boolean[]) return Arrays.toString((boolean[]) o);
+    if (o instanceof Object[]) return Arrays.deepToString((Object[]) o);
+    return String.valueOf(o);
+}`;
+
+const CPP_FORMATTER = `void show(int v) { cout << v; }
+void show(long v) { cout << v; }
+void show(long long v) { cout << v; }
+void show(double v) { cout << v; }
+void show(bool v) { cout << (v ? "true" : "false"); }
+void show(char v) { cout << '"' << v << '"'; }
+void show(const string& v) { cout << '"' << v << '"'; }
+template <typename T> void show(const vector<T>& v) {
+    cout << '[';
+    for (size_t i = 0; i < v.size(); i++) {
+        if (i) cout << ',';
+        show(v[i]);
+    }
+    cout << ']';
+}`;
+
+// Language definitions keyed by LeetCode langSlug
+const LANGUAGES = {
+  python3: {
+    name: 'Python',
+    langSlugs: ['python3', 'python'],
+    fileName: 'solution.py',
+    runCommand: 'python3 solution.py'
+  },
+  java: {
+    name: 'Java',
+    langSlugs: ['java'],
+    fileName: 'Solution.java',
+    runCommand: 'javac Solution.java && java Main',
+    comment: '//',
+    scalars: JAVA_SCALARS,
+    parseSignature: parseJavaSignature,
+    renderLiteral: javaLiteral,
+    stub: 'class Solution {\n    // TODO: Implement your solution here\n}\n',
+    renderTest: (sig, args, index) => {
+      const lines = args.map(a => `${a.desc.native} ${a.name} = ${a.literal};`);
+      const call = `new Solution().${sig.name}(${args.map(a => a.name).join(', ')})`;
+      if (!isVoid(sig.returnType)) {
+        lines.push(`System.out.println("Test ${index}: " + fmt(${call}));`);
+      } else if (args.length > 0) {
+        lines.push(`${call};`, `System.out.println("Test ${index}: " + fmt(${args[0].name}));`);
+      } else {
+        lines.push(`${call};`, `System.out.println("Test ${index}: done");`);
+      }
+      return `// Test ${index}\n{\n${indent(lines.join('\n'), 4)}\n}`;
+    },
+    renderFile: (snippet, tests) => `import java.util.*;
+
+${snippet}
+
+// ============================================================================
+// Test Cases - Run with: javac Solution.java && java Main
+// ============================================================================
+
+class Main {
+    public static void main(String[] args) {
+${indent(tests.join('\n\n'), 8)}
+    }
+
+${indent(JAVA_FORMATTER, 4)}
+}
+`
+  },
+  cpp: {
+    name: 'C++',
+    langSlugs: ['cpp'],
+    fileName: 'solution.cpp',
+    runCommand: 'g++ -std=c++17 -o solution solution.cpp && ./solution',
+    comment: '//',
+    scalars: CPP_SCALARS,
+    parseSignature: parseCppSignature,
+    renderLiteral: cppLiteral,
+    stub: 'class Solution {\npublic:\n    // TODO: Implement your solution here\n};\n',
+    renderTest: (sig, args, index) => {
+      const lines = args.map(a => `${a.desc.native} ${a.name} = ${a.literal};`);
+      const call = `Solution().${sig.name}(${args.map(a => a.name).join(', ')})`;
+      if (!isVoid(sig.returnType)) {
+        lines.push(`cout << "Test ${index}: "; show(${call}); cout << endl;`);
+      } else if (args.length > 0) {
+        lines.push(`${call};`, `cout << "Test ${index}: "; show(${args[0].name}); cout << endl;`);
+      } else {
+        lines.push(`${call};`, `cout << "Test ${index}: done" << endl;`);
+      }
+      return `// Test ${index}\n{\n${indent(lines.join('\n'), 4)}\n}`;
+    },
+    renderFile: (snippet, tests) => `#include <bits/stdc++.h>
+using namespace std;
+
+${snippet}
+
+// ============================================================================
+// Test Cases - Run with: g++ -std=c++17 -o solution solution.cpp && ./solution
+// ============================================================================
+
+${CPP_FORMATTER}
+
+int main() {
+${indent(tests.join('\n\n'), 4)}
+    return 0;
+}
+`
+  },
+  javascript: {
+    name: 'JavaScript',
+    langSlugs: ['javascript'],
+    fileName: 'solution.js',
+    runCommand: 'node solution.js',
+    comment: '//',
+    scalars: JS_SCALARS,
+    parseSignature: parseJavaScriptSignature,
+    renderLiteral: jsLiteral,
+    stub: '// TODO: Implement your solution here\nvar solution = function() {\n\n};\n',
+    renderTest: (sig, args, index) => renderScriptTest(sig, args, index),
+    renderFile: (snippet, tests) => renderScriptFile(snippet, tests, 'node solution.js')
+  },
+  typescript: {
+    name: 'TypeScript',
+    langSlugs: ['typescript'],
+    fileName: 'solution.ts',
+    runCommand: 'npx tsx solution.ts',
+    comment: '//',
+    scalars: JS_SCALARS,
+    parseSignature: parseTypeScriptSignature,
+    renderLiteral: jsLiteral,
+    stub: '// TODO: Implement your solution here\nfunction solution(): void {\n\n}\n',
+    renderTest: (sig, args, index) => renderScriptTest(sig, args, index),
+    renderFile: (snippet, tests) => renderScriptFile(snippet, tests, 'npx tsx solution.ts')
+  },
+  golang: {
+    name: 'Go',
+    langSlugs: ['golang'],
+    fileName: 'solution.go',
+    runCommand: 'go run solution.go',
+    comment: '//',
+    scalars: GO_SCALARS,
+    parseSignature: parseGoSignature,
+    renderLiteral: goLiteral,
+    stub: 'package main\n\n// TODO: Implement your solution here\nfunc solution() {\n\n}\n\nfunc main() {\n\n}\n',
+    renderTest: (sig, args, index) => {
+      const lines = args.map(a => `${a.name} := ${a.literal}`);
+      const call = `${sig.name}(${args.map(a => a.name).join(', ')})`;
+      if (!isVoid(sig.returnType)) {
+        lines.push(`fmt.Printf("Test ${index}: %v\\n", ${call})`);
+      } else if (args.length > 0) {
+        lines.push(call, `fmt.Printf("Test ${index}: %v\\n", ${args[0].name})`);
+      } else {
+        lines.push(call, `fmt.Println("Test ${index}: done")`);
+      }
+      return `// Test ${index}\n{\n${indent(lines.join('\n'), 4)}\n}`;
+    },
+    // fmt is only imported when a test prints - Go refuses unused imports
+    renderFile: (snippet, tests, runnable) => `package main
+${runnable ? '\nimport "fmt"\n' : ''}
+${snippet}
+
+// ============================================================================
+// Test Cases - Run with: go run solution.go
+// ============================================================================
+
+func main() {
+${indent(tests.join('\n\n'), 4)}
+}
+`
+  }
+};
+
+/**
+ * Render one test block for JavaScript/TypeScript
+ */
+function renderScriptTest(sig, args, index) {
+  const lines = args.map(a => `const ${a.name} = ${a.literal};`);
+  const call = `${sig.name}(${args.map(a => a.name).join(', ')})`;
+  if (!isVoid(sig.returnType)) {
+    lines.push(`console.log(\`Test ${index}: \${JSON.stringify(${call})}\`);`);
+  } else if (args.length > 0) {
+    lines.push(`${call};`, `console.log(\`Test ${index}: \${JSON.stringify(${args[0].name})}\`);`);
+  } else {
+    lines.push(`${call};`, `console.log('Test ${index}: done');`);
+  }
+  return `// Test ${index}\n{\n${indent(lines.join('\n'), 4)}\n}`;
+}
+
+/**
+ * Render a JavaScript/TypeScript solution file
+ */
+function renderScriptFile(snippet, tests, runCommand) {
+  return `${snippet}
+
+// ============================================================================
+// Test Cases - Run with: ${runCommand}
+// ============================================================================
+
+${tests.join('\n\n')}
+`;
+}
+
+// --lang aliases
+const LANGUAGE_ALIASES = {
+  python: 'python3', py: 'python3', python3: 'python3',
+  java: 'java',
+  cpp: 'cpp', 'c++': 'cpp',
+  javascript: 'javascript', js: 'javascript', node: 'javascript',
+  typescript: 'typescript', ts: 'typescript',
+  go: 'golang', golang: 'golang'
+};
+
+/**
+ * Resolve a --lang value to a language key
+ */
+function resolveLanguage(name) {
+  const key = LANGUAGE_ALIASES[String(name || 'python3').toLowerCase()];
+  if (!key) {
+    throw new Error(`Unsupported language: ${name} (use ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  return key;
+}
+
+/**
+ * Find the LeetCode code snippet for a language
+ */
+function findSnippet(problemData, langKey) {
+  const { langSlugs } = LANGUAGES[langKey];
+  return (problemData.codeSnippets || []).find(s => langSlugs.includes(s.langSlug)) || null;
+}
+
+/**
+ * Explain why a problem can't get a working harness in a language
+ *
+ * Only the Python harness builds ListNode/TreeNode values and replays
+ * design-problem operations. Returns null when the language can handle it.
+ */
+function getUnsupportedReason(problemData, langKey) {
+  if (langKey === 'python3') return null;
+
+  const sig = getSignature(problemData);
+  if (!sig) return null;
+  if (sig.design) return `${problemData.title} is a design problem (class ${sig.name})`;
+
+  const types = [...sig.params.map(p => p.type), sig.returnType]
+    .map(type => describeMetaType(type || '').base)
+    .filter(base => NODE_TYPES[base]);
+  if (types.length === 0) return null;
+
+  return `${problemData.title} takes or returns ${[...new Set(types)].join(' and ')} values`;
+}
+
+/**
+ * Generate the full solution file for a non-Python language
+ *
+ * Examples whose parameter types have no literal form are written as
+ * commented-out raw inputs instead. Problems getUnsupportedReason refuses
+ * should not get here.
+ */
+function generateSolutionFile(problemData, langKey) {
+  const language = LANGUAGES[langKey];
+  const snippet = findSnippet(problemData, langKey);
+  if (!snippet) return null;
+
+  const sig = language.parseSignature(snippet.code);
+  const tests = [];
+  const skipped = [];
+
+  // Example lines come pre-grouped and typed from the problem's metaData
+  const testCases = parseTestCases(problemData);
+
+  testCases.forEach((tc, i) => {
+    const index = i + 1;
+    if (!sig || sig.params.length !== tc.inputs.length) {
+      skipped.push({ index, inputs: tc.inputs });
+      return;
+    }
+
+    const args = [];
+    for (let p = 0; p < sig.params.length; p++) {
+      const desc = describeType(sig.params[p].type || '', language.scalars);
+      const typed = tc.values[p];
+
+      if (!typed.valid || !SUPPORTED_BASES.includes(typed.base) || !SUPPORTED_BASES.includes(desc.base)) {
+        skipped.push({ index, inputs: tc.inputs });
+        return;
+      }
+
+      args.push({ name: sig.params[p].name, desc, literal: language.renderLiteral(typed.value, desc) });
+    }
+
+    tests.push(language.renderTest(sig, args, index));
+  });
+  const runnable = tests.length > 0;
+
+  for (const { index, inputs } of skipped) {
+    tests.push(`${language.comment} Test ${index} (build these inputs by hand)\n${inputs.map(i => `${language.comment}   ${i}`).join('\n')}`);
+  }
+
+  if (tests.length === 0) {
+    tests.push(`${language.comment} Add your own test cases here (see README.md for examples)`);
+  }
+
+  return language.renderFile(snippet.code, tests, runnable);
+}
+
+module.exports = {
+  LANGUAGES,
+  resolveLanguage,
+  findSnippet,
+  getUnsupportedReason,
+  generateSolutionFile,
+  describeType,
+  splitTopLevel
+};
@@ -0,0 +1,244 @@
+/**
+ * Cache Maintenance
+ *
+ * Finds cached problems that are stale (by cached_at) or no longer listed
+ * in any company CSV, and summarizes the cache per company: problem
+ * counts, disk size, solution coverage and age.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCompanies, loadCompanyPeriods } = require('./dataset');
+const {
+  CACHE_ROOT,
+  CACHE_INDEX_FILE,
+  loadCacheIndex,
+  getAllCachedProblems,
+  removeProblemCache,
+  removeCompanyMembership,
+  extractSlug,
+  getQuarantineReport
+} = require('./scraper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units accepted by --older-than, in milliseconds
+const AGE_UNITS = {
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  y: 365 * DAY_MS
+};
+
+// Age buckets for cache stats, in days (upper bounds)
+const AGE_BUCKETS = [
+  { key: 'age30', label: '<30d', maxDays: 30 },
+  { key: 'age90', label: '30-90d', maxDays: 90 },
+  { key: 'age180', label: '90-180d', maxDays: 180 },
+  { key: 'ageOlder', label: '>180d', maxDays: Infinity }
+];
+
+/**
+ * Parse an age such as "90d", "12w", "6m", "1y" or "48h" to milliseconds
+ */
+function parseAge(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([hdwmy])$/i);
+  if (!match) {
+    throw new Error(`Invalid age: ${value} (use a number and unit, e.g. 90d, 12w, 6m, 1y)`);
+  }
+  return parseFloat(match[1]) * AGE_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Age of a cached problem in milliseconds (Infinity when cached_at is missing)
+ */
+function getCacheAge(problem, now = new Date()) {
+  const cachedAt = problem.cached_at ? new Date(problem.cached_at).getTime() : NaN;
+  return Number.isNaN(cachedAt) ? Infinity : now.getTime() - cachedAt;
+}
+
+/**
+ * Find cached problems due for a refresh
+ *
+ * options: { company, olderThanMs, missingSolutions }. A problem is due
+ * when it is older than olderThanMs, or (with missingSolutions) has no
+ * cached solution. Oldest first.
+ */
+function findStaleProblems(options = {}, now = new Date()) {
+  return getAllCachedProblems(options.company || null)
+    .filter(problem => {
+      if (options.olderThanMs !== undefined && getCacheAge(problem, now) > options.olderThanMs) return true;
+      return Boolean(options.missingSolutions && !problem.hasSolution);
+    })
+    .sort((a, b) => getCacheAge(b, now) - getCacheAge(a, now));
+}
+
+/**
+ * Map every slug in the company CSVs (all periods) to the companies listing it
+ */
+async function collectCompanySlugs(companies = getCompanies()) {
+  const bySlug = new Map();
+
+  for (const company of companies) {
+    const periods = await loadCompanyPeriods(company);
+    for (const rows of Object.values(periods)) {
+      for (const row of rows) {
+        const slug = extractSlug(row.Link || '');
+        if (!slug) continue;
+        if (!bySlug.has(slug)) bySlug.set(slug, new Set());
+        bySlug.get(slug).add(company);
+      }
+    }
+  }
+
+  return bySlug;
+}
+
+/**
+ * Find cached problems no company lists any more, and memberships of
+ * companies that dropped a problem
+ *
+ * Returns { orphans: [problem], memberships: [{ slug, company }] }
+ */
+async function findPrunable() {
+  const known = getCompanies();
+  const bySlug = await collectCompanySlugs(known);
+  const orphans = [];
+  const memberships = [];
+
+  for (const problem of getAllCachedProblems()) {
+    const listedBy = bySlug.get(problem.slug);
+    if (!listedBy) {
+      orphans.push(problem);
+      continue;
+    }
+
+    // Companies without a CSV folder are left alone - their data may just be missing here
+    for (const company of problem.companies) {
+      if (known.includes(company) && !listedBy.has(company)) {
+        memberships.push({ slug: problem.slug, company });
+      }
+    }
+  }
+
+  return { orphans, memberships };
+}
+
+/**
+ * Remove what findPrunable found (nothing is removed with dryRun)
+ */
+async function pruneCache(options = {}) {
+  const found = await findPrunable();
+  if (options.dryRun) return found;
+
+  for (const problem of found.orphans) {
+    removeProblemCache(problem.slug);
+  }
+  for (const { slug, company } of found.memberships) {
+    removeCompanyMembership(slug, company);
+  }
+
+  return found;
+}
+
+/**
+ * Format a byte count, e.g. 1.4 MB
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+/**
+ * Per-company cache summary, shaped like the analytics reports
+ * ({ title, columns, rows, summary })
+ *
+ * A problem shared by several companies counts towards each of them;
+ * the summary totals count it once.
+ */
+function cacheStatsReport(now = new Date()) {
+  const { problems } = loadCacheIndex();
+  const byCompany = new Map();
+  const totals = { problems: 0, bytes: 0, solutions: 0, oldest: null };
+
+  const sizeOf = (entry) => {
+    try {
+      return fs.statSync(path.join(CACHE_ROOT, entry.path)).size;
+    } catch (err) {
+      return 0;
+    }
+  };
+
+  for (const [slug, entry] of Object.entries(problems)) {
+    const bytes = sizeOf(entry);
+    const age = getCacheAge(entry, now);
+    const bucket = AGE_BUCKETS.find(b => age <= b.maxDays * DAY_MS) || AGE_BUCKETS[AGE_BUCKETS.length - 1];
+
+    totals.problems++;
+    totals.bytes += bytes;
+    if (entry.hasSolution) totals.solutions++;
+    if (!totals.oldest || age > totals.oldest.age) totals.oldest = { slug, age };
+
+    const companies = entry.companies.length > 0 ? entry.companies : ['(no company)'];
+    for (const company of companies) {
+      if (!byCompany.has(company)) {
+        byCompany.set(company, { company, problems: 0, bytes: 0, solutions: 0, age30: 0, age90: 0, age180: 0, ageOlder: 0 });
+      }
+      const row = byCompany.get(company);
+      row.problems++;
+      row.bytes += bytes;
+      if (entry.hasSolution) row.solutions++;
+      row[bucket.key]++;
+    }
+  }
+
+  const coverage = (solved, total) => (total > 0 ? `${Math.round((solved / total) * 100)}%` : '-');
+  const rows = [...byCompany.values()]
+    .sort((a, b) => b.problems - a.problems || a.company.localeCompare(b.company))
+    .map(row => ({ ...row, size: formatBytes(row.bytes), coverage: coverage(row.solutions, row.problems) }));
+
+  const indexBytes = fs.existsSync(CACHE_INDEX_FILE) ? fs.statSync(CACHE_INDEX_FILE).size : 0;
+
+  return {
+    title: 'Cache Statistics',
+    columns: [
+      { key: 'company', label: 'Company' },
+      { key: 'problems', label: 'Problems' },
+      { key: 'size', label: 'Size' },
+      { key: 'coverage', label: 'Solutions' },
+      ...AGE_BUCKETS.map(b => ({ key: b.key, label: b.label }))
+    ],
+    rows,
+    summary: {
+      problems: totals.problems,
+      companies: rows.filter(row => row.company !== '(no company)').length,
+      'disk size': formatBytes(totals.bytes + indexBytes),
+      'solution coverage': `${coverage(totals.solutions, totals.problems)} (${totals.solutions}/${totals.problems})`,
+      oldest: totals.oldest
+        ? `${totals.oldest.slug} (${totals.oldest.age === Infinity ? 'no date' : `${Math.floor(totals.oldest.age / DAY_MS)} days`})`
+        : '-',
+      quarantined: getQuarantineReport().length
+    }
+  };
+}
+
+module.exports = {
+  AGE_UNITS,
+  AGE_BUCKETS,
+  parseAge,
+  getCacheAge,
+  findStaleProblems,
+  collectCompanySlugs,
+  findPrunable,
+  pruneCache,
+  formatBytes,
+  cacheStatsReport
+};
@@ -0,0 +1,328 @@
+/**
+ * HTML to Markdown
+ *
+ * Converts LeetCode problem HTML to Markdown by walking the DOM (cheerio):
+ * paragraphs, nested bullet and numbered lists, tables, images and links,
+ * <sup>/<sub> as ^ and _ (so 10<sup>5</sup> stays 10^5), and example blocks
+ * as fenced code. Entities are decoded by the parser.
+ */
+
+const cheerio = require('cheerio');
+
+const BLOCK_TAGS = new Set(['p', 'div', 'pre', 'ul', 'ol', 'table', 'blockquote', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * Write a superscript/subscript: ^5, ^(n+1)
+ */
+function script(marker, text) {
+  const value = text.trim();
+  if (!value) return '';
+  return /^[\w.]+$/.test(value) ? `${marker}${value}` : `${marker}(${value})`;
+}
+
+/**
+ * Plain text of a node, keeping line breaks and ^/_ scripts
+ *
+ * Used inside code blocks, where Markdown formatting would show literally
+ */
+function plainText($, node) {
+  if (node.type === 'text') return node.data;
+  if (node.type !== 'tag') return '';
+
+  const inner = () => $(node).contents().toArray().map(child => plainText($, child)).join('');
+  switch (node.name) {
+    case 'br': return '\n';
+    case 'sup': return script('^', inner());
+    case 'sub': return script('_', inner());
+    case 'img': return `[image: ${$(node).attr('alt') || $(node).attr('src') || ''}]`;
+    case 'p':
+    case 'div': return `${inner()}\n`;
+    default: return inner();
+  }
+}
+
+/**
+ * Wrap inline text in a marker (**, *, `), keeping surrounding spaces outside
+ */
+function wrap(marker, text) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Inline Markdown for a node (text, emphasis, code, links, images)
+ */
+function renderInline($, node) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (node.type !== 'tag') return '';
+
+  const $node = $(node);
+  const inner = () => $node.contents().toArray().map(child => renderInline($, child)).join('');
+
+  switch (node.name) {
+    case 'strong':
+    case 'b': return wrap('**', inner());
+    case 'em':
+    case 'i': return wrap('*', inner());
+    case 'code': {
+      const code = plainText($, node).replace(/\s+/g, ' ');
+      return code.trim() ? wrap('`', code) : code;
+    }
+    case 'sup': return script('^', inner());
+    case 'sub': return script('_', inner());
+    case 'br': return '\n';
+    case 'img': return `![${$node.attr('alt') || ''}](${$node.attr('src') || ''})`;
+    case 'a': {
+      const text = inner();
+      const href = $node.attr('href');
+      return href && text.trim() ? `[${text.trim()}](${href})` : text;
+    }
+    default: return inner();
+  }
+}
+
+/**
+ * Clean up rendered inline text: non-breaking spaces, trailing spaces,
+ * spaces around line breaks
+ */
+function tidy(text) {
+  return text
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Fenced code block, trimmed of blank edge lines
+ */
+function fence(text) {
+  const lines = text.replace(/\u00a0/g, ' ').split('\n').map(line => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  return lines.length > 0 ? '```\n' + lines.join('\n') + '\n```' : '';
+}
+
+/**
+ * Markdown list, nested blocks indented under their item's text
+ */
+function renderList($, node) {
+  const ordered = node.name === 'ol';
+
+  return $(node).children('li').toArray().map((item, i) => {
+    const marker = ordered ? `${i + 1}.` : '-';
+    const pad = ' '.repeat(marker.length + 1);
+    const [first = '', ...rest] = renderBlocks($, $(item).contents().toArray(), true).split('\n');
+    return [`${marker} ${first}`, ...rest.map(line => (line ? pad + line : line))].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Markdown table; the first row is the header
+ */
+function renderTable($, node) {
+  const rows = $(node).find('tr').toArray().map(row =>
+    $(row).children('th, td').toArray().map(cell =>
+      tidy(renderInline($, cell)).replace(/\n/g, ' ').replace(/\|/g, '\\|')
+    )
+  ).filter(cells => cells.length > 0);
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Markdown for one block-level node
+ */
+function renderBlock($, node) {
+  const $node = $(node);
+
+  switch (node.name) {
+    case 'pre':
+      return fence(plainText($, node));
+    case 'ul':
+    case 'ol':
+      return renderList($, node);
+    case 'table':
+      return renderTable($, node);
+    case 'hr':
+      return '---';
+    case 'blockquote':
+      return renderBlocks($, $node.contents().toArray())
+        .split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    case 'div':
+      // Newer problems wrap each example's Input/Output/Explanation in a div
+      if ($node.hasClass('example-block')) {
+        return fence($node.children().toArray().map(child => plainText($, child).trim()).join('\n'));
+      }
+      return renderBlocks($, $node.contents().toArray());
+    default:
+      if (/^h[1-6]$/.test(node.name)) {
+        return `${'#'.repeat(Number(node.name[1]))} ${tidy(renderInline($, node))}`;
+      }
+      return tidy(renderInline($, node));
+  }
+}
+
+/**
+ * Render a list of sibling nodes, grouping runs of inline nodes into
+ * paragraphs. Blocks are separated by blank lines (single newlines when
+ * tight, inside list items)
+ */
+function renderBlocks($, nodes, tight = false) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const text = tidy(inline.map(node => renderInline($, node)).join(''));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'tag' && BLOCK_TAGS.has(node.name)) {
+      flushInline();
+      const block = renderBlock($, node);
+      if (block.trim()) blocks.push(block);
+    } else {
+      inline.push(node);
+    }
+  }
+  flushInline();
+
+  return blocks.join(tight ? '\n' : '\n\n');
+}
+
+/**
+ * Render parsed nodes to Markdown
+ */
+function renderRoot($) {
+  return renderBlocks($, $.root().contents().toArray())
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert problem HTML to Markdown
+ */
+function htmlToMarkdown(html) {
+  if (!html) return '';
+  return renderRoot(cheerio.load(html, null, false));
+}
+
+/**
+ * Split an example's text into { input, output, explanation }
+ *
+ * Labels may have the value on the same line ("Output: [0,1]") or on the
+ * lines below (design problems); multi-line values keep their line breaks
+ */
+function parseExampleText(text) {
+  const example = { input: '', output: '', explanation: '' };
+  let field = null;
+
+  for (const line of text.replace(/\u00a0/g, ' ').split('\n')) {
+    const label = line.match(/^\s*(Input|Output|Explanation)\s*:?\s*(.*)$/);
+    if (label) {
+      field = label[1].toLowerCase();
+      example[field] = label[2].trim();
+    } else if (field) {
+      example[field] = example[field] ? `${example[field]}\n${line.trimEnd()}` : line.trim();
+    }
+  }
+
+  for (const key of Object.keys(example)) {
+    example[key] = example[key].trim();
+  }
+  return example;
+}
+
+/**
+ * Check whether a node is a heading paragraph such as "Example 1:" or
+ * "Constraints:"
+ */
+function isHeading($, node, pattern) {
+  return node.type === 'tag' && ['p', 'strong', 'b'].includes(node.name) &&
+    pattern.test($(node).text().replace(/\u00a0/g, ' ').trim());
+}
+
+/**
+ * Pull the examples and constraints out of problem HTML
+ *
+ * Returns { statement, examples: [{ input, output, explanation, images }],
+ * constraints } where statement is the Markdown description without the
+ * examples and constraints, and constraints are plain text (10^4, no
+ * backticks)
+ */
+function parseProblemContent(html) {
+  if (!html) return { statement: '', examples: [], constraints: [] };
+
+  const $ = cheerio.load(html, null, false);
+  const nodes = $.root().contents().toArray().filter(node => node.type === 'tag');
+  const examples = [];
+  const constraints = [];
+  const remove = [];
+  let images = [];
+  let inExamples = false;
+
+  nodes.forEach((node, i) => {
+    const $node = $(node);
+
+    if (isHeading($, node, /^Example\s*\d*\s*:?$/i)) {
+      inExamples = true;
+      images = [];
+      remove.push(node);
+      return;
+    }
+
+    if (isHeading($, node, /^Constraints\s*:?$/i)) {
+      inExamples = false;
+      remove.push(node);
+      const list = nodes.slice(i + 1).find(next => ['ul', 'ol'].includes(next.name));
+      if (list) {
+        $(list).children('li').each((_, item) => {
+          constraints.push(plainText($, item).replace(/\s+/g, ' ').trim());
+        });
+        remove.push(list);
+      }
+      return;
+    }
+
+    if (!inExamples) return;
+
+    if (node.name === 'pre' || $node.hasClass('example-block')) {
+      const text = node.name === 'pre'
+        ? plainText($, node)
+        : $node.children().toArray().map(child => plainText($, child).trim()).join('\n');
+      examples.push({ ...parseExampleText(text), images });
+      images = [];
+      remove.push(node);
+      return;
+    }
+
+    // Example illustrations sit between the heading and the example itself
+    const imgs = $node.is('img') ? [node] : $node.find('img').toArray();
+    if (imgs.length > 0 && !$node.text().trim()) {
+      images.push(...imgs.map(img => $(img).attr('src')).filter(Boolean));
+      remove.push(node);
+      return;
+    }
+
+    // Anything else (e.g. the follow-up) ends the examples
+    if ($node.text().trim()) inExamples = false;
+  });
+
+  remove.forEach(node => $(node).remove());
+
+  return { statement: renderRoot($), examples, constraints };
+}
+
+module.exports = {
+  htmlToMarkdown,
+  parseExampleText,
+  parseProblemContent
+};
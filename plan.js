@@ -0,0 +1,350 @@
+/**
+ * Study Plans
+ *
+ * Builds a day-by-day schedule from several companies' problem lists.
+ * Problems are scored by frequency across every time period (recent
+ * periods count more), de-duplicated by slug, and picked so that topics
+ * and difficulties stay balanced. Plans are saved as JSON (read back by
+ * --plan) with a Markdown copy for reading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCompanyPeriods, splitTopics } = require('./dataset');
+const { extractSlug } = require('./scraper');
+
+const PLAN_FILE = path.join(__dirname, 'study-plan.json');
+const PLAN_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weight of each time period's frequency in a problem's score
+const PERIOD_WEIGHTS = {
+  'Thirty Days': 3,
+  'Three Months': 2,
+  'Six Months': 1.5,
+  'More Than Six Months': 0.75,
+  'All': 1
+};
+
+// Estimated minutes to work through a problem, by difficulty
+const PLAN_MINUTES = {
+  EASY: 25,
+  MEDIUM: 45,
+  HARD: 70
+};
+
+// Target share of each difficulty in a plan
+const DIFFICULTY_MIX = {
+  EASY: 0.25,
+  MEDIUM: 0.55,
+  HARD: 0.2
+};
+
+const DIFFICULTY_ORDER = { EASY: 1, MEDIUM: 2, HARD: 3 };
+
+/**
+ * Format a date as YYYY-MM-DD (local time)
+ */
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse "today" or a YYYY-MM-DD date to local midnight
+ */
+function parseDate(value, now = new Date()) {
+  if (!value || value === 'today') {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const [year, month, day] = match ? match.slice(1).map(Number) : [];
+  const date = match ? new Date(year, month - 1, day) : null;
+
+  // Date rolls impossible days over (2025-02-30 becomes March 2), so check it round-trips
+  if (!date || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or "today")`);
+  }
+  return date;
+}
+
+/**
+ * Merge the CSVs of several companies into one candidate list
+ *
+ * Frequencies are normalised per file so large and small companies are
+ * comparable, then weighted by time period and summed, so a problem
+ * asked recently by several companies ranks highest
+ */
+async function collectPlanCandidates(companies) {
+  const bySlug = new Map();
+
+  for (const company of companies) {
+    const periods = await loadCompanyPeriods(company);
+
+    for (const [period, rows] of Object.entries(periods)) {
+      const maxFrequency = Math.max(0, ...rows.map(r => parseFloat(r.Frequency) || 0)) || 1;
+
+      for (const row of rows) {
+        const slug = extractSlug(row.Link);
+        if (!slug) continue;
+
+        if (!bySlug.has(slug)) {
+          bySlug.set(slug, {
+            slug,
+            Title: row.Title,
+            Link: row.Link,
+            Difficulty: row.Difficulty,
+            Topics: row.Topics,
+            'Acceptance Rate': row['Acceptance Rate'],
+            companies: [],
+            periods: [],
+            score: 0
+          });
+        }
+
+        const entry = bySlug.get(slug);
+        entry.score += ((parseFloat(row.Frequency) || 0) / maxFrequency) * (PERIOD_WEIGHTS[period] || 1);
+        if (!entry.companies.includes(company)) entry.companies.push(company);
+        if (!entry.periods.includes(period)) entry.periods.push(period);
+      }
+    }
+  }
+
+  return [...bySlug.values()].map(p => ({ ...p, score: Math.round(p.score * 1000) / 1000 }));
+}
+
+/**
+ * Pick problems for a time budget, balancing topics and difficulty
+ *
+ * Greedy: each step takes the highest-scoring problem after discounting
+ * topics that are already covered and difficulties above their target share
+ */
+function selectPlanProblems(candidates, budgetMinutes) {
+  const remaining = [...candidates].sort((a, b) => b.score - a.score);
+  const selected = [];
+  const topicCounts = {};
+  const difficultyCounts = { EASY: 0, MEDIUM: 0, HARD: 0 };
+  let usedMinutes = 0;
+
+  for (;;) {
+    let bestIndex = -1;
+    let bestValue = -Infinity;
+
+    remaining.forEach((problem, i) => {
+      const minutes = PLAN_MINUTES[problem.Difficulty] || PLAN_MINUTES.MEDIUM;
+      if (usedMinutes + minutes > budgetMinutes) return;
+
+      const topics = splitTopics(problem.Topics);
+      const topicLoad = topics.length > 0
+        ? topics.reduce((sum, t) => sum + (topicCounts[t] || 0), 0) / topics.length
+        : 0;
+      const share = selected.length > 0 ? (difficultyCounts[problem.Difficulty] || 0) / selected.length : 0;
+      const overTarget = Math.max(0, share - (DIFFICULTY_MIX[problem.Difficulty] || 0));
+      const value = (problem.score / (1 + topicLoad * 0.5)) * (1 - overTarget);
+
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+
+    if (bestIndex === -1) break;
+
+    const [problem] = remaining.splice(bestIndex, 1);
+    const minutes = PLAN_MINUTES[problem.Difficulty] || PLAN_MINUTES.MEDIUM;
+    selected.push({ ...problem, minutes });
+    usedMinutes += minutes;
+    difficultyCounts[problem.Difficulty] = (difficultyCounts[problem.Difficulty] || 0) + 1;
+    for (const topic of splitTopics(problem.Topics)) {
+      topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Spread selected problems over the days, in priority order
+ *
+ * Each day is filled up to its minutes; a day always takes at least one
+ * problem. Problems that do not fit before the deadline go to the backlog.
+ */
+function scheduleDays(selected, start, deadline, dailyMinutes) {
+  const days = [];
+  const dayCount = Math.round((deadline - start) / DAY_MS) + 1;
+  for (let i = 0; i < dayCount; i++) {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+    days.push({ date: formatDate(date), minutes: 0, problems: [] });
+  }
+
+  let dayIndex = 0;
+  const backlog = [];
+
+  for (const problem of selected) {
+    while (dayIndex < days.length && days[dayIndex].problems.length > 0 && days[dayIndex].minutes + problem.minutes > dailyMinutes) {
+      dayIndex++;
+    }
+
+    if (dayIndex >= days.length) {
+      backlog.push(problem);
+      continue;
+    }
+
+    days[dayIndex].problems.push(problem);
+    days[dayIndex].minutes += problem.minutes;
+  }
+
+  // Warm up with the easier problems each day
+  for (const day of days) {
+    day.problems.sort((a, b) => (DIFFICULTY_ORDER[a.Difficulty] || 2) - (DIFFICULTY_ORDER[b.Difficulty] || 2));
+  }
+
+  return { days, backlog };
+}
+
+/**
+ * Build a study plan
+ *
+ * options: { start, deadline, hoursPerDay, exclude (Set of slugs to skip) }
+ */
+async function buildStudyPlan(companies, options = {}) {
+  const start = parseDate(options.start || 'today');
+  const deadline = parseDate(options.deadline);
+  const hoursPerDay = options.hoursPerDay || 2;
+
+  if (deadline < start) {
+    throw new Error(`Deadline ${formatDate(deadline)} is before the start date ${formatDate(start)}`);
+  }
+
+  const exclude = options.exclude || new Set();
+  const candidates = (await collectPlanCandidates(companies)).filter(p => !exclude.has(p.slug));
+
+  const dayCount = Math.round((deadline - start) / DAY_MS) + 1;
+  const dailyMinutes = Math.round(hoursPerDay * 60);
+  const selected = selectPlanProblems(candidates, dayCount * dailyMinutes);
+  const { days, backlog } = scheduleDays(selected, start, deadline, dailyMinutes);
+
+  const scheduled = days.flatMap(d => d.problems);
+  const byDifficulty = { EASY: 0, MEDIUM: 0, HARD: 0 };
+  const byTopic = {};
+  for (const problem of scheduled) {
+    byDifficulty[problem.Difficulty] = (byDifficulty[problem.Difficulty] || 0) + 1;
+    for (const topic of splitTopics(problem.Topics)) {
+      byTopic[topic] = (byTopic[topic] || 0) + 1;
+    }
+  }
+
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    companies,
+    start: formatDate(start),
+    deadline: formatDate(deadline),
+    hoursPerDay,
+    totals: {
+      candidates: candidates.length,
+      problems: scheduled.length,
+      minutes: scheduled.reduce((sum, p) => sum + p.minutes, 0),
+      byDifficulty,
+      byTopic
+    },
+    days,
+    backlog
+  };
+}
+
+/**
+ * Render a plan as a Markdown checklist
+ */
+function renderPlanMarkdown(plan) {
+  const { totals } = plan;
+  const lines = [
+    `# Study Plan: ${plan.companies.join(', ')}`,
+    '',
+    `**Dates:** ${plan.start} to ${plan.deadline} (${plan.days.length} days, ${plan.hoursPerDay}h/day)`,
+    `**Problems:** ${totals.problems} (${totals.byDifficulty.EASY} easy, ${totals.byDifficulty.MEDIUM} medium, ${totals.byDifficulty.HARD} hard)`,
+    `**Estimated time:** ${Math.round(totals.minutes / 60 * 10) / 10}h`,
+    '',
+    '## Topic Coverage',
+    '',
+    '| Topic | Problems |',
+    '|-------|----------|'
+  ];
+
+  Object.entries(totals.byTopic)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([topic, count]) => lines.push(`| ${topic} | ${count} |`));
+
+  plan.days.forEach((day, i) => {
+    lines.push('', `## Day ${i + 1} - ${day.date} (${day.minutes} min)`, '');
+    if (day.problems.length === 0) {
+      lines.push('Rest day / catch up');
+    }
+    for (const p of day.problems) {
+      lines.push(`- [ ] [${p.Title}](${p.Link}) - ${p.Difficulty} - ${p.Topics} - ${p.companies.join(', ')}`);
+    }
+  });
+
+  if (plan.backlog.length > 0) {
+    lines.push('', '## Backlog (if you get ahead)', '');
+    for (const p of plan.backlog) {
+      lines.push(`- [ ] [${p.Title}](${p.Link}) - ${p.Difficulty} - ${p.companies.join(', ')}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Save a plan as JSON plus a Markdown copy next to it
+ *
+ * Returns { jsonPath, markdownPath }
+ */
+function savePlan(plan, filePath = PLAN_FILE) {
+  const jsonPath = path.resolve(filePath);
+  const markdownPath = jsonPath.replace(/\.json$/, '') + '.md';
+
+  fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+  const tmpPath = `${jsonPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(plan, null, 2));
+  fs.renameSync(tmpPath, jsonPath);
+  fs.writeFileSync(markdownPath, renderPlanMarkdown(plan));
+
+  return { jsonPath, markdownPath };
+}
+
+/**
+ * Load a saved plan (null if none exists)
+ */
+function loadPlan(filePath = PLAN_FILE) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Get the planned problems for a day ("today" or YYYY-MM-DD)
+ */
+function getPlannedProblems(plan, day = 'today') {
+  const date = formatDate(parseDate(day));
+  const entry = plan.days.find(d => d.date === date);
+  return entry ? entry.problems : [];
+}
+
+module.exports = {
+  PLAN_FILE,
+  PERIOD_WEIGHTS,
+  PLAN_MINUTES,
+  DIFFICULTY_MIX,
+  formatDate,
+  parseDate,
+  collectPlanCandidates,
+  selectPlanProblems,
+  scheduleDays,
+  buildStudyPlan,
+  renderPlanMarkdown,
+  savePlan,
+  loadPlan,
+  getPlannedProblems
+};
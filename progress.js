@@ -0,0 +1,134 @@
+/**
+ * Progress Tracking
+ *
+ * Remembers which problems have been attempted, solved or failed
+ * Stored locally as a single JSON file keyed by problem slug
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROGRESS_FILE = path.join(__dirname, 'progress.json');
+const PROGRESS_VERSION = 1;
+
+/**
+ * Load the progress store (empty store if none exists yet)
+ */
+function loadProgress() {
+  if (!fs.existsSync(PROGRESS_FILE)) {
+    return { version: PROGRESS_VERSION, problems: {} };
+  }
+
+  const data = JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf-8'));
+  if (!data.problems) data.problems = {};
+  return data;
+}
+
+/**
+ * Save the progress store (write to a temp file first so a crash can't truncate it)
+ */
+function saveProgress(progress) {
+  const tmpPath = `${PROGRESS_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(progress, null, 2));
+  fs.renameSync(tmpPath, PROGRESS_FILE);
+}
+
+/**
+ * Get the progress entry for a problem (null if never attempted)
+ */
+function getProblemProgress(slug) {
+  return loadProgress().problems[slug] || null;
+}
+
+/**
+ * Get the slugs of all solved problems
+ */
+function getSolvedSlugs() {
+  const { problems } = loadProgress();
+  return new Set(Object.keys(problems).filter(slug => problems[slug].status === 'solved'));
+}
+
+/**
+ * Get the slugs of every problem with any history (a template was created,
+ * or it was solved or failed)
+ */
+function getSeenSlugs() {
+  return new Set(Object.keys(loadProgress().problems));
+}
+
+/**
+ * Record that a template was created for a problem (starts a new attempt)
+ */
+function recordAttempt(slug, details = {}) {
+  const progress = loadProgress();
+  const now = new Date().toISOString();
+  const entry = progress.problems[slug] || {
+    slug,
+    title: details.title || slug,
+    difficulty: details.difficulty ? details.difficulty.toUpperCase() : null,
+    status: 'attempted',
+    attempts: 0,
+    timeSpentMinutes: 0,
+    companies: [],
+    firstAttemptAt: now,
+    solvedAt: null,
+    notes: [],
+    history: []
+  };
+
+  entry.attempts++;
+  entry.lastAttemptAt = now;
+  if (details.directory) entry.directory = details.directory;
+  if (details.company && !entry.companies.includes(details.company)) {
+    entry.companies.push(details.company);
+  }
+  entry.history.push({ date: now, event: 'started' });
+
+  progress.problems[slug] = entry;
+  saveProgress(progress);
+  return entry;
+}
+
+/**
+ * Record the outcome of an attempt (solved or failed)
+ *
+ * When minutes is not given, the time since the attempt started is used
+ */
+function recordResult(slug, { solved = true, minutes = null, notes = null, title = null, difficulty = null } = {}) {
+  if (!getProblemProgress(slug)) {
+    recordAttempt(slug, { title, difficulty });
+  }
+
+  const progress = loadProgress();
+  const now = new Date();
+  const entry = progress.problems[slug];
+
+  if (minutes === null || minutes === undefined) {
+    minutes = Math.max(0, Math.round((now - new Date(entry.lastAttemptAt)) / 60000));
+  }
+
+  entry.status = solved ? 'solved' : 'failed';
+  entry.timeSpentMinutes += minutes;
+  if (solved) {
+    entry.solvedAt = now.toISOString();
+  }
+  if (notes) {
+    entry.notes.push({ date: now.toISOString(), text: notes });
+  }
+  entry.history.push({ date: now.toISOString(), event: solved ? 'solved' : 'failed', minutes });
+
+  progress.problems[slug] = entry;
+  saveProgress(progress);
+  return entry;
+}
+
+module.exports = {
+  PROGRESS_FILE,
+  loadProgress,
+  saveProgress,
+  getProblemProgress,
+  getSolvedSlugs,
+  getSeenSlugs,
+  recordAttempt,
+  recordResult
+};
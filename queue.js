@@ -0,0 +1,213 @@
+/**
+ * Bulk Job Queue
+ *
+ * Runs jobs with a fixed number of workers, retrying rate-limited and
+ * server errors with exponential backoff. Job state is written to
+ * cache-jobs/<name>.json after every change, so an interrupted run can be
+ * resumed without redoing finished jobs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOBS_DIR = path.join(__dirname, 'cache-jobs');
+const JOB_STATE_VERSION = 1;
+
+const QUEUE_DEFAULTS = {
+  concurrency: 3,
+  retries: 4,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+  // Pause after each job, per worker - be nice to servers
+  pauseMs: 1000
+};
+
+/**
+ * Path of the state file for a named job run
+ */
+function getJobStatePath(name) {
+  return path.join(JOBS_DIR, `${name.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+/**
+ * Create job state for a list of job ids (all pending)
+ */
+function createJobState(name, ids, options = {}) {
+  const jobs = {};
+  for (const id of ids) {
+    jobs[id] = { status: 'pending', attempts: 0, error: null };
+  }
+
+  return {
+    version: JOB_STATE_VERSION,
+    name,
+    options,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    jobs
+  };
+}
+
+/**
+ * Load saved job state (null if there is none)
+ */
+function loadJobState(name) {
+  const filePath = getJobStatePath(name);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Write job state (temp file + rename so an interrupt can't truncate it)
+ */
+function saveJobState(state) {
+  state.updatedAt = new Date().toISOString();
+  const filePath = getJobStatePath(state.name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Remove saved job state
+ */
+function clearJobState(name) {
+  fs.rmSync(getJobStatePath(name), { force: true });
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ *
+ * Retries rate limiting (429), server errors (5xx) and network errors
+ * without a response; anything else (404, bad data) fails straight away
+ */
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (!error.response) return Boolean(error.code || error.request);
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: doubles each attempt, with jitter, and
+ * honours a Retry-After header (seconds) when the server sends one
+ */
+function getBackoffDelay(attempt, error, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...QUEUE_DEFAULTS, ...options };
+  const retryAfter = error && error.response && error.response.headers
+    ? parseFloat(error.response.headers['retry-after'])
+    : NaN;
+
+  if (retryAfter > 0) return Math.min(maxDelayMs, retryAfter * 1000);
+
+  const delay = baseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(maxDelayMs, delay + Math.floor(Math.random() * baseDelayMs / 2));
+}
+
+/**
+ * Short reason for a failed job
+ */
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}${error.response.statusText ? ` ${error.response.statusText}` : ''}`;
+  }
+  return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run every pending (and previously failed) job in the state
+ *
+ * worker(id) does one job and throws on failure. The state is saved after
+ * each job; onProgress(counts) is called whenever a job settles or is
+ * retried. options: concurrency, retries, baseDelayMs, maxDelayMs, pauseMs,
+ * onProgress, onRetry(id, attempt, delayMs, error).
+ *
+ * Returns { done, failed: [{ id, error, attempts }] }
+ */
+async function runJobQueue(state, worker, options = {}) {
+  const settings = { ...QUEUE_DEFAULTS, ...options };
+  const queue = Object.keys(state.jobs).filter(id => state.jobs[id].status !== 'done');
+  const counts = { total: queue.length, done: 0, failed: 0, active: 0 };
+  const report = () => settings.onProgress && settings.onProgress({ ...counts });
+
+  // Earlier failures get a fresh set of retries
+  for (const id of queue) {
+    state.jobs[id].status = 'pending';
+    state.jobs[id].error = null;
+  }
+  saveJobState(state);
+  report();
+
+  const runJob = async (id) => {
+    const job = state.jobs[id];
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+      job.attempts++;
+
+      try {
+        await worker(id);
+        job.status = 'done';
+        job.error = null;
+        counts.done++;
+        return;
+      } catch (error) {
+        job.error = describeError(error);
+
+        if (attempt > settings.retries || !isRetryable(error)) {
+          job.status = 'failed';
+          counts.failed++;
+          return;
+        }
+
+        const delay = getBackoffDelay(attempt, error, settings);
+        if (settings.onRetry) settings.onRetry(id, attempt, delay, error);
+        saveJobState(state);
+        await sleep(delay);
+      }
+    }
+  };
+
+  const runWorker = async () => {
+    while (queue.length > 0) {
+      const id = queue.shift();
+      counts.active++;
+      report();
+
+      await runJob(id);
+
+      counts.active--;
+      saveJobState(state);
+      report();
+
+      if (queue.length > 0 && settings.pauseMs > 0) await sleep(settings.pauseMs);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(settings.concurrency, queue.length));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+
+  const failed = Object.entries(state.jobs)
+    .filter(([, job]) => job.status === 'failed')
+    .map(([id, job]) => ({ id, error: job.error, attempts: job.attempts }));
+
+  return { done: counts.done, failed };
+}
+
+module.exports = {
+  JOBS_DIR,
+  QUEUE_DEFAULTS,
+  getJobStatePath,
+  createJobState,
+  loadJobState,
+  saveJobState,
+  clearJobState,
+  isRetryable,
+  getBackoffDelay,
+  describeError,
+  runJobQueue
+};
@@ -0,0 +1,152 @@
+/**
+ * Spaced Repetition Reviews
+ *
+ * SM-2 style scheduler for solved problems. Review state lives in the
+ * progress store next to each problem's attempt history.
+ */
+
+const { getAllCachedProblems } = require('./scraper');
+const { loadProgress, saveProgress, recordAttempt } = require('./progress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Recall grades mapped to SM-2 response quality (0-5)
+const GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+/**
+ * Compute the next review state after grading recall
+ */
+function scheduleReview(state, grade, now = new Date()) {
+  const quality = GRADES[grade];
+  if (quality === undefined) {
+    throw new Error(`Unknown grade: ${grade} (use ${Object.keys(GRADES).join(', ')})`);
+  }
+
+  const previous = state || { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0 };
+  const next = { ...previous };
+
+  if (quality < 3) {
+    // Forgotten - start the interval ladder again
+    next.repetitions = 0;
+    next.interval = 1;
+    next.lapses = (previous.lapses || 0) + 1;
+  } else {
+    next.repetitions = previous.repetitions + 1;
+    if (next.repetitions === 1) {
+      next.interval = 1;
+    } else if (next.repetitions === 2) {
+      next.interval = 6;
+    } else {
+      next.interval = Math.round(previous.interval * previous.ease);
+    }
+    if (grade === 'easy') {
+      next.interval = Math.round(next.interval * 1.3);
+    }
+  }
+
+  next.ease = Math.max(MIN_EASE, previous.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  next.ease = Math.round(next.ease * 100) / 100;
+  next.lastGrade = grade;
+  next.lastReviewedAt = now.toISOString();
+  next.due = new Date(now.getTime() + next.interval * DAY_MS).toISOString();
+
+  return next;
+}
+
+/**
+ * Get when a progress entry is next due (solved but never graded: one day after solving)
+ */
+function getDueDate(entry) {
+  if (entry.review && entry.review.due) {
+    return new Date(entry.review.due);
+  }
+  if (entry.status === 'solved' && entry.solvedAt) {
+    return new Date(new Date(entry.solvedAt).getTime() + DAY_MS);
+  }
+  return null;
+}
+
+/**
+ * Grade recall for a problem and store the next review date
+ */
+function gradeReview(slug, grade, details = {}) {
+  let progress = loadProgress();
+  if (!progress.problems[slug]) {
+    recordAttempt(slug, details);
+    progress = loadProgress();
+  }
+
+  const entry = progress.problems[slug];
+  const now = new Date();
+  entry.review = scheduleReview(entry.review, grade, now);
+  entry.history.push({ date: now.toISOString(), event: 'reviewed', grade });
+
+  saveProgress(progress);
+  return entry;
+}
+
+/**
+ * Get every problem with a review scheduled ({ problem, entry, due })
+ *
+ * Only cached problems count, since a review needs the problem's template
+ */
+function getScheduledReviews() {
+  const { problems } = loadProgress();
+  const scheduled = [];
+
+  for (const problem of getAllCachedProblems()) {
+    const entry = problems[problem.slug];
+    const dueDate = entry ? getDueDate(entry) : null;
+    if (dueDate) {
+      scheduled.push({ problem, entry, due: dueDate });
+    }
+  }
+
+  return scheduled;
+}
+
+/**
+ * Get cached problems that are due for review, most overdue first
+ */
+function getDueReviews(now = new Date()) {
+  return getScheduledReviews()
+    .filter(item => item.due <= now)
+    .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Count reviews due on each of the next N days (overdue items count as today)
+ */
+function getReviewForecast(days = 14, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const forecast = [];
+
+  for (let i = 0; i < days; i++) {
+    forecast.push({ date: new Date(startOfToday.getTime() + i * DAY_MS), count: 0 });
+  }
+
+  for (const { due } of getScheduledReviews()) {
+    const dayIndex = Math.max(0, Math.floor((due - startOfToday) / DAY_MS));
+    if (dayIndex < days) {
+      forecast[dayIndex].count++;
+    }
+  }
+
+  return forecast;
+}
+
+module.exports = {
+  GRADES,
+  scheduleReview,
+  getDueDate,
+  gradeReview,
+  getDueReviews,
+  getReviewForecast
+};
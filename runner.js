@@ -0,0 +1,209 @@
+/**
+ * Local Solution Runner
+ *
+ * Runs a user's Python Solution class (or design class) against the cached
+ * LeetCode examples in a python3 subprocess and compares each result with
+ * the expected output. Examples run one after another without blocking the
+ * event loop, so the web UI keeps serving while code runs.
+ */
+
+const { spawn } = require('child_process');
+const { getSignature, parseTestCases, parseDesignTestCases, getExpectedOutputs } = require('./testcases');
+const { NODE_TYPES, generatePythonHelpers } = require('./structures');
+
+const PYTHON_BIN = 'python3';
+const DEFAULT_TIMEOUT_MS = 5000;
+const RESULT_MARKER = '__INTERVIEW_PREP_RESULT__';
+
+// Marker line written by createPythonTemplateFile above the generated test prints
+const TEST_SECTION_MARKER = '# Test Cases - Run this file';
+
+// Executes one example: user prints are sent to stderr so stdout only carries the result.
+// Helpers are defined first so solution files without them still load, ListNode/TreeNode
+// inputs are built from (and results turned back into) LeetCode notation, and design
+// problems replay their operation sequence against the named class.
+const PYTHON_HARNESS = `
+import contextlib, json, sys
+
+payload = json.loads(sys.stdin.read())
+namespace = {}
+exec('from typing import *', namespace)
+exec(payload['helpers'], namespace)
+exec(compile(payload['source'], payload['path'], 'exec'), namespace)
+
+class_name = payload.get('className') or 'Solution'
+if class_name not in namespace:
+    raise NameError(f'solution file does not define a {class_name} class')
+
+def build_arg(arg):
+    value = json.loads(arg['raw'])
+    builder = namespace.get(payload['builders'].get(arg['base'], ''))
+    if builder is None:
+        return value
+    def build(v, dims):
+        return builder(v) if dims == 0 else [build(x, dims - 1) for x in v]
+    return build(value, arg['dims'])
+
+with contextlib.redirect_stdout(sys.stderr):
+    if payload.get('className'):
+        result = namespace['run_operations'](namespace[class_name], payload['operations'], payload['arguments'])
+    else:
+        method = getattr(namespace['Solution'](), payload['method'])
+        result = method(*[build_arg(arg) for arg in payload['args']])
+
+print(${JSON.stringify(RESULT_MARKER)} + json.dumps(namespace['to_plain'](result), default=str))
+`;
+
+const PYTHON_HELPERS = generatePythonHelpers(Object.keys(NODE_TYPES), true);
+
+/**
+ * Remove the generated test prints so only the user's code is executed
+ */
+function stripTestSection(source) {
+  const markerIdx = source.indexOf(TEST_SECTION_MARKER);
+  if (markerIdx === -1) return source;
+
+  // Also drop the "# ====" banner line right above the marker
+  const before = source.substring(0, markerIdx).replace(/\n#\s*=+\s*\n?$/, '\n');
+  return before.trimEnd() + '\n';
+}
+
+/**
+ * Parse an output value, falling back to the raw text when it is not JSON
+ */
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text.trim();
+  }
+}
+
+/**
+ * Compare two values, allowing for float rounding
+ */
+function valuesEqual(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) < 1e-5;
+  }
+
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((v, i) => valuesEqual(v, expected[i]));
+  }
+
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(k => valuesEqual(actual[k], expected[k]));
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Run a single example in a python3 subprocess
+ *
+ * call is { method, args } for Solution methods or
+ * { className, operations, arguments } for design problems. Resolves with
+ * { status (ok, error or timeout), elapsedMs, raw, stderr }.
+ */
+function runExample(source, sourcePath, call, timeout) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const proc = spawn(PYTHON_BIN, ['-c', PYTHON_HARNESS]);
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGKILL');
+    }, timeout);
+
+    proc.stdout.setEncoding('utf-8').on('data', chunk => { stdout += chunk; });
+    proc.stderr.setEncoding('utf-8').on('data', chunk => { stderr += chunk; });
+
+    proc.on('error', err => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`${PYTHON_BIN} not found - install Python 3 to run tests`) : err);
+    });
+
+    proc.on('close', code => {
+      clearTimeout(timer);
+      const elapsedMs = Date.now() - started;
+
+      if (timedOut) {
+        resolve({ status: 'timeout', elapsedMs, stderr });
+        return;
+      }
+
+      const markerIdx = stdout.lastIndexOf(RESULT_MARKER);
+      if (code !== 0 || markerIdx === -1) {
+        resolve({ status: 'error', elapsedMs, stderr: stderr.trim() });
+        return;
+      }
+
+      const raw = stdout.substring(markerIdx + RESULT_MARKER.length).trim();
+      resolve({ status: 'ok', elapsedMs, raw, stderr: stderr.trim() });
+    });
+
+    // The process may exit before reading its input (a syntax error, say)
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(JSON.stringify({ ...call, source, path: sourcePath, helpers: PYTHON_HELPERS, builders: NODE_TYPES }));
+  });
+}
+
+/**
+ * Run every cached example against a solution file's source
+ *
+ * Resolves with one result per example with status pass, fail, error,
+ * timeout, or ran (when the description has no expected output for that
+ * example)
+ */
+async function runExamples(problemData, source, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  const sourcePath = options.sourcePath || 'solution.py';
+
+  const signature = getSignature(problemData);
+  const name = signature ? signature.name : 'solution';
+  const design = Boolean(signature && signature.design);
+  const testCases = design ? parseDesignTestCases(problemData) : parseTestCases(problemData);
+  const expectedOutputs = getExpectedOutputs(problemData);
+  const userSource = stripTestSection(source);
+
+  const results = [];
+  for (const [index, tc] of testCases.entries()) {
+    const expectedRaw = expectedOutputs[index];
+    const call = design
+      ? { className: name, operations: tc.operations, arguments: tc.arguments }
+      : { method: name, args: tc.values.map(v => ({ raw: v.raw, base: v.base, dims: v.dims })) };
+    const result = await runExample(userSource, sourcePath, call, timeout);
+    const entry = {
+      index: index + 1,
+      params: tc.params,
+      inputs: tc.inputs,
+      expected: expectedRaw === undefined ? null : expectedRaw,
+      actual: result.raw === undefined ? null : result.raw,
+      elapsedMs: result.elapsedMs,
+      stderr: result.stderr
+    };
+
+    if (result.status !== 'ok') {
+      entry.status = result.status;
+    } else if (expectedRaw === undefined) {
+      entry.status = 'ran';
+    } else {
+      entry.status = valuesEqual(parseValue(result.raw), parseValue(expectedRaw)) ? 'pass' : 'fail';
+    }
+
+    results.push(entry);
+  }
+
+  return results;
+}
+
+module.exports = {
+  runExamples,
+  stripTestSection,
+  valuesEqual,
+  DEFAULT_TIMEOUT_MS
+};
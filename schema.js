@@ -0,0 +1,131 @@
+/**
+ * Cache Record Schema
+ *
+ * Every cached problem carries a schemaVersion. Records written by older
+ * versions of the tool are upgraded step by step (see SCHEMA_UPGRADES) when
+ * they are loaded, and "cache migrate" writes the upgrades back to disk.
+ * validateProblemRecord() checks the current shape; the scraper
+ * quarantines files that fail it instead of letting them crash browsing.
+ *
+ * Version history:
+ *   1  no schemaVersion field; a single `company` string in the old
+ *      per-company layout, and solutions under `neetcodeSolution`
+ *   2  schemaVersion, `companies` as [{ name, frequency, periods }] and
+ *      solutions keyed by provider (and language, see getSolutionKey)
+ *      under `solutions`
+ */
+
+const { getCachedSolutions, toSolutionMap } = require('./solutions');
+
+const CACHE_SCHEMA_VERSION = 2;
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/**
+ * Get a cached record's company memberships
+ *
+ * Records store { name, frequency, periods } per company; records from
+ * the per-company folder layout only have a single company name
+ */
+function getRecordCompanies(data) {
+  if (Array.isArray(data.companies)) return data.companies;
+  if (data.company && data.company !== 'general') return [{ name: data.company }];
+  return [];
+}
+
+/**
+ * Schema version of a record (records without the field are version 1)
+ */
+function getSchemaVersion(record) {
+  return Number.isInteger(record.schemaVersion) ? record.schemaVersion : 1;
+}
+
+// Upgrade steps: SCHEMA_UPGRADES[n] turns a version n record into version n + 1
+const SCHEMA_UPGRADES = {
+  1: (record) => {
+    const upgraded = {
+      ...record,
+      topics: Array.isArray(record.topics) ? record.topics : [],
+      hints: Array.isArray(record.hints) ? record.hints : [],
+      codeSnippets: Array.isArray(record.codeSnippets) ? record.codeSnippets : [],
+      companies: getRecordCompanies(record)
+    };
+    delete upgraded.company;
+
+    // neetcodeSolution held whichever source answered first - file it under that provider
+    if (record.neetcodeSolution) {
+      const existing = record.solutions && typeof record.solutions === 'object' && !Array.isArray(record.solutions) ? record.solutions : {};
+      const legacy = getCachedSolutions({ neetcodeSolution: record.neetcodeSolution });
+      upgraded.solutions = { ...toSolutionMap(legacy), ...existing };
+    }
+    delete upgraded.neetcodeSolution;
+
+    return upgraded;
+  }
+};
+
+/**
+ * Upgrade a record to CACHE_SCHEMA_VERSION (returns a new object)
+ *
+ * slug fills in records that never stored their own. Records from a newer
+ * version are returned as they are; validation reports them.
+ */
+function upgradeProblemRecord(record, slug = null) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return record;
+
+  let upgraded = { ...record };
+  if (!upgraded.slug && slug) upgraded.slug = slug;
+
+  for (let version = getSchemaVersion(upgraded); version < CACHE_SCHEMA_VERSION; version++) {
+    upgraded = { ...SCHEMA_UPGRADES[version](upgraded), schemaVersion: version + 1 };
+  }
+
+  return upgraded;
+}
+
+/**
+ * Check a cached problem record against the current schema
+ *
+ * Returns a list of problems (empty when the record is usable). Only what
+ * the templates, runner and index rely on is checked; extra fields are fine.
+ */
+function validateProblemRecord(record) {
+  const errors = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return ['not an object'];
+
+  const isString = value => typeof value === 'string' && value.length > 0;
+  const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+  if (getSchemaVersion(record) > CACHE_SCHEMA_VERSION) {
+    return [`schemaVersion ${record.schemaVersion} is newer than this tool supports (${CACHE_SCHEMA_VERSION}) - update the tool`];
+  }
+  if (record.schemaVersion !== CACHE_SCHEMA_VERSION) errors.push(`schemaVersion must be ${CACHE_SCHEMA_VERSION}`);
+  if (!isString(record.slug) || !/^[a-z0-9-]+$/.test(record.slug)) errors.push('slug must be a lowercase slug');
+  if (!isString(record.title)) errors.push('title is missing');
+  if (!DIFFICULTIES.includes(record.difficulty)) errors.push(`difficulty must be ${DIFFICULTIES.join(', ')} (got ${JSON.stringify(record.difficulty)})`);
+  if (typeof record.description !== 'string') errors.push('description must be a string');
+  if (!isStringList(record.topics)) errors.push('topics must be a list of strings');
+  if (!isStringList(record.hints)) errors.push('hints must be a list of strings');
+  if (!Array.isArray(record.codeSnippets) || record.codeSnippets.some(s => !s || !isString(s.langSlug) || typeof s.code !== 'string')) {
+    errors.push('codeSnippets must be a list of { langSlug, code }');
+  }
+  if (!isString(record.cached_at) || Number.isNaN(new Date(record.cached_at).getTime())) errors.push('cached_at must be a date');
+  if (!Array.isArray(record.companies) || record.companies.some(m => !m || !isString(m.name))) {
+    errors.push('companies must be a list of { name }');
+  }
+  if (record.solutions !== undefined && record.solutions !== null) {
+    const entries = typeof record.solutions === 'object' && !Array.isArray(record.solutions) ? Object.values(record.solutions) : null;
+    if (!entries || entries.some(e => !e || !isString(e.provider) || !isStringList(e.solutions))) {
+      errors.push('solutions must map provider ids to { provider, solutions }');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CACHE_SCHEMA_VERSION,
+  getRecordCompanies,
+  getSchemaVersion,
+  upgradeProblemRecord,
+  validateProblemRecord
+};
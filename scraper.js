@@ -7,13 +7,22 @@
  * Stores them locally for offline use
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-
-const CACHE_ROOT = path.join(__dirname, 'problem-cache');
+const { getHttpClient } = require('./client');
+const { htmlToMarkdown, parseProblemContent } = require('./markdown');
+const { fetchSolutions, getCachedSolutions, toSolutionMap } = require('./solutions');
+const { CACHE_SCHEMA_VERSION, getRecordCompanies, getSchemaVersion, upgradeProblemRecord, validateProblemRecord } = require('./schema');
+
+// LEETCODE_CACHE_DIR points the cache elsewhere (the tests use a temp folder)
+const CACHE_ROOT = process.env.LEETCODE_CACHE_DIR ? path.resolve(process.env.LEETCODE_CACHE_DIR) : path.join(__dirname, 'problem-cache');
+const CACHE_INDEX_FILE = path.join(CACHE_ROOT, 'index.json');
+const PROBLEMS_FOLDER = 'problems';
+const QUARANTINE_FOLDER = 'quarantine';
+const QUARANTINE_REPORT_FILE = path.join(CACHE_ROOT, QUARANTINE_FOLDER, 'report.json');
+const CACHE_INDEX_VERSION = 1;
+const REQUEST_TIMEOUT_MS = 30000;
 const LEETCODE_GRAPHQL_URL = 'https://leetcode.com/graphql';
-const NEETCODE_BASE_URL = 'https://neetcode.io/solutions';
 
 // Ensure cache directory exists
 if (!fs.existsSync(CACHE_ROOT)) {
@@ -21,9 +30,12 @@ if (!fs.existsSync(CACHE_ROOT)) {
 }
 
 /**
- * Fetch problem details from LeetCode using GraphQL
+ * Request problem details from LeetCode using GraphQL
+ *
+ * Throws on request errors (error.response keeps the HTTP status for
+ * retry decisions) and when LeetCode has no such problem
  */
-async function fetchProblemDetails(titleSlug) {
+async function requestProblemDetails(titleSlug) {
   const query = `
     query questionData($titleSlug: String!) {
       question(titleSlug: $titleSlug) {
@@ -45,28 +57,43 @@ async function fetchProblemDetails(titleSlug) {
         }
         sampleTestCase
         exampleTestcases
+        metaData
         hints
         similarQuestions
       }
     }
   `;
 
-  try {
-    const response = await axios.post(
-      LEETCODE_GRAPHQL_URL,
-      {
-        query,
-        variables: { titleSlug }
+  const response = await getHttpClient().post(
+    LEETCODE_GRAPHQL_URL,
+    {
+      query,
+      variables: { titleSlug }
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
       },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        }
-      }
-    );
+      timeout: REQUEST_TIMEOUT_MS
+    }
+  );
 
-    return response.data.data.question;
+  const question = response.data && response.data.data ? response.data.data.question : null;
+  if (!question) {
+    const error = new Error(`Problem not found on LeetCode: ${titleSlug}`);
+    error.retryable = false;
+    throw error;
+  }
+  return question;
+}
+
+/**
+ * Fetch problem details from LeetCode (null on any error)
+ */
+async function fetchProblemDetails(titleSlug) {
+  try {
+    return await requestProblemDetails(titleSlug);
   } catch (error) {
     console.error(`Error fetching ${titleSlug}:`, error.message);
     return null;
@@ -81,247 +108,477 @@ function extractSlug(url) {
   return match ? match[1] : null;
 }
 
+// In-memory copy of the cache index (loaded on first use)
+let cacheIndex = null;
+
 /**
- * Fetch top-voted Python solution from LeetCode discussion
- * Used as fallback when NeetCode doesn't have the problem
+ * Build the index entry for a cached problem
  */
-async function fetchLeetCodeDiscussionSolution(questionId, titleSlug) {
-  const query = `
-    query questionTopicsList($questionId: String!, $orderBy: TopicSortingOption, $skip: Int!, $first: Int!, $tags: [String!]) {
-      questionTopicsList(questionId: $questionId, orderBy: $orderBy, skip: $skip, first: $first, tags: $tags) {
-        edges {
-          node {
-            id
-            title
-            post {
-              content
-            }
-          }
-        }
-      }
-    }
-  `;
+function buildIndexEntry(data, relativePath) {
+  return {
+    path: relativePath,
+    title: data.title,
+    difficulty: data.difficulty,
+    topics: data.topics || [],
+    companies: getRecordCompanies(data).map(m => m.name),
+    hasSolution: getCachedSolutions(data).length > 0,
+    cached_at: data.cached_at || null
+  };
+}
 
-  try {
-    const response = await axios.post(LEETCODE_GRAPHQL_URL, {
-      query,
-      variables: {
-        questionId: String(questionId),
-        orderBy: 'most_votes',
-        skip: 0,
-        first: 3,  // Get top 3 voted Python solutions
-        tags: ['python3']
-      }
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
+/**
+ * Write the cache index (temp file + rename so readers never see a partial file)
+ */
+function writeCacheIndex(index) {
+  index.updatedAt = new Date().toISOString();
+  fs.mkdirSync(CACHE_ROOT, { recursive: true });
+  const tmpPath = `${CACHE_INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tmpPath, CACHE_INDEX_FILE);
+  cacheIndex = index;
+}
 
-    const edges = response.data?.data?.questionTopicsList?.edges;
-    if (!edges || edges.length === 0) {
-      return null;
-    }
+/**
+ * List every cached problem file, relative to the cache root
+ *
+ * Covers problems/ and any per-company folders not migrated yet (not
+ * quarantine/)
+ */
+function listCacheFiles() {
+  if (!fs.existsSync(CACHE_ROOT)) return [];
+
+  const folders = fs.readdirSync(CACHE_ROOT).filter(f =>
+    f !== QUARANTINE_FOLDER && fs.statSync(path.join(CACHE_ROOT, f)).isDirectory()
+  );
+
+  // problems/ first so its copy wins over a legacy duplicate
+  folders.sort((a, b) => (b === PROBLEMS_FOLDER) - (a === PROBLEMS_FOLDER));
+
+  return folders.flatMap(folder =>
+    fs.readdirSync(path.join(CACHE_ROOT, folder))
+      .filter(f => f.endsWith('.json'))
+      .map(f => path.join(folder, f))
+  );
+}
 
-    const solutions = [];
+/**
+ * Read a cache file, upgraded to the current schema
+ *
+ * Returns { record, errors }; errors is empty when the record is valid
+ */
+function readCacheFile(relativePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(path.join(CACHE_ROOT, relativePath), 'utf-8'));
+  } catch (err) {
+    return { record: null, errors: [`unreadable: ${err.message}`] };
+  }
+
+  const record = upgradeProblemRecord(raw, path.basename(relativePath, '.json'));
+  return { record, errors: validateProblemRecord(record) };
+}
 
-    for (const edge of edges) {
-      const content = edge.node?.post?.content;
-      if (!content) continue;
+/**
+ * Move a bad cache file to quarantine/ and add it to quarantine/report.json
+ *
+ * The file is kept so it can be inspected or fixed and moved back
+ */
+function quarantineCacheFile(relativePath, errors) {
+  const quarantineDir = path.join(CACHE_ROOT, QUARANTINE_FOLDER);
+  fs.mkdirSync(quarantineDir, { recursive: true });
+
+  const base = relativePath.replace(/[\\/]/g, '__').replace(/\.json$/, '');
+  let target = `${base}.json`;
+  for (let n = 2; fs.existsSync(path.join(quarantineDir, target)); n++) {
+    target = `${base}.${n}.json`;
+  }
+  fs.renameSync(path.join(CACHE_ROOT, relativePath), path.join(quarantineDir, target));
+
+  const report = getQuarantineReport();
+  report.push({
+    file: relativePath,
+    quarantinedAs: path.join(QUARANTINE_FOLDER, target),
+    quarantinedAt: new Date().toISOString(),
+    errors
+  });
+  const tmpPath = `${QUARANTINE_REPORT_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(report, null, 2));
+  fs.renameSync(tmpPath, QUARANTINE_REPORT_FILE);
 
-      // Split by Python3 code blocks
-      const parts = content.split('```Python3');
+  console.warn(`⚠ Quarantined ${relativePath}: ${errors.join('; ')}`);
+}
 
-      for (let i = 1; i < parts.length; i++) {
-        const part = parts[i];
-        const endIdx = part.indexOf('```');
-        if (endIdx > 0) {
-          let code = part.substring(0, endIdx);
-          // Remove the [] marker at the start
-          code = code.replace(/^\s*\[\]\s*\\n/, '');
-          // Convert literal \n to actual newlines
-          code = code.replace(/\\n/g, '\n').trim();
+/**
+ * Get the quarantine report ([{ file, quarantinedAs, quarantinedAt, errors }])
+ */
+function getQuarantineReport() {
+  if (!fs.existsSync(QUARANTINE_REPORT_FILE)) return [];
+  return JSON.parse(fs.readFileSync(QUARANTINE_REPORT_FILE, 'utf-8'));
+}
 
-          if ((code.includes('class Solution') || code.includes('def ')) && code.length > 30) {
-            solutions.push(code);
-          }
-        }
+/**
+ * Rebuild the cache index by scanning the cache folders
+ *
+ * Used on first run (no index yet) and by "cache rebuild-index" after
+ * files were added, moved or deleted by hand
+ */
+function rebuildCacheIndex() {
+  const index = { version: CACHE_INDEX_VERSION, problems: {} };
+  const errors = [];
+
+  for (const relativePath of listCacheFiles()) {
+    try {
+      const { record: data, errors: problems } = readCacheFile(relativePath);
+      if (problems.length > 0) {
+        quarantineCacheFile(relativePath, problems);
+        errors.push({ file: relativePath, error: `quarantined (${problems.join('; ')})` });
+        continue;
       }
 
-      // Also try lowercase python/python3
-      const lowerParts = content.split(/```(?:python3?|Python)/i);
-      for (let i = 1; i < lowerParts.length; i++) {
-        const part = lowerParts[i];
-        const endIdx = part.indexOf('```');
-        if (endIdx > 0) {
-          let code = part.substring(0, endIdx);
-          code = code.replace(/^\s*\[\]\s*\\n/, '');
-          code = code.replace(/\\n/g, '\n').trim();
-
-          if ((code.includes('class Solution') || code.includes('def ')) && code.length > 30) {
-            solutions.push(code);
-          }
+      const slug = data.slug;
+      const entry = buildIndexEntry(data, relativePath);
+
+      // A legacy company folder implies membership of that company
+      const folder = path.dirname(relativePath);
+      if (folder !== PROBLEMS_FOLDER && !entry.companies.includes(folder)) entry.companies.push(folder);
+
+      const existing = index.problems[slug];
+      if (existing) {
+        // Same problem saved under several folders - keep one path, merge companies
+        for (const comp of entry.companies) {
+          if (!existing.companies.includes(comp)) existing.companies.push(comp);
         }
+      } else {
+        index.problems[slug] = entry;
       }
+    } catch (err) {
+      errors.push({ file: relativePath, error: err.message });
     }
+  }
 
-    // Deduplicate
-    const uniqueSolutions = [...new Set(solutions)];
+  writeCacheIndex(index);
+  return { count: Object.keys(index.problems).length, errors };
+}
 
-    if (uniqueSolutions.length === 0) {
-      return null;
-    }
+/**
+ * Load the cache index, building it from the cache folders if missing
+ */
+function loadCacheIndex() {
+  if (cacheIndex) return cacheIndex;
 
-    return {
-      url: `https://leetcode.com/problems/${titleSlug}/solutions/?languageTags=python3`,
-      solutions: uniqueSolutions,
-      optimalSolution: uniqueSolutions[0],  // First one is most voted
-      source: 'leetcode_discussion',
-      fetchedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error(`Error fetching LeetCode discussion for ${titleSlug}:`, error.message);
-    return null;
+  if (fs.existsSync(CACHE_INDEX_FILE)) {
+    cacheIndex = JSON.parse(fs.readFileSync(CACHE_INDEX_FILE, 'utf-8'));
+    if (!cacheIndex.problems) cacheIndex.problems = {};
+    return cacheIndex;
   }
+
+  rebuildCacheIndex();
+  return cacheIndex;
 }
 
 /**
- * Fetch Python solution(s) from NeetCode.io
+ * Save problem data to cache and update the index
+ *
+ * Each problem is stored once under problems/<slug>.json; a copy left in
+ * a per-company folder is removed when the problem is saved again. Records
+ * are upgraded to the current schema and must pass validation.
  */
-async function fetchNeetCodeSolution(titleSlug) {
-  const url = `${NEETCODE_BASE_URL}/${titleSlug}`;
+function saveProblemCache(titleSlug, data) {
+  const index = loadCacheIndex();
+  const existing = index.problems[titleSlug];
+  const relativePath = path.join(PROBLEMS_FOLDER, `${titleSlug}.json`);
+
+  const record = upgradeProblemRecord(data, titleSlug);
+  const errors = validateProblemRecord(record);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to cache an invalid record for ${titleSlug}: ${errors.join('; ')}`);
+  }
 
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
-
-    const html = response.data;
-    const solutions = [];
-
-    // NeetCode embeds code in various formats - try multiple patterns
-    // Pattern 1: Look for Python class Solution blocks (handles escaped newlines)
-    const classPattern = /class Solution:[\s\S]*?(?=class Solution:|```[a-z]|$)/g;
-    let classMatches = html.match(classPattern);
-
-    if (classMatches) {
-      for (let code of classMatches) {
-        // Clean up the code - convert escaped newlines to real ones
-        code = code
-          .replace(/\\n/g, '\n')
-          .replace(/\\t/g, '    ')
-          .replace(/\\"/g, '"')
-          .replace(/\\\\/g, '\\')
-          .trim();
-
-        // Stop at common boundaries (next code block, etc.)
-        const endMarkers = ['```', '## ', '### ', '**Time', '**Space'];
-        for (const marker of endMarkers) {
-          const idx = code.indexOf(marker);
-          if (idx > 0) {
-            code = code.substring(0, idx).trim();
-          }
-        }
+  const filePath = path.join(CACHE_ROOT, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+  fs.renameSync(tmpPath, filePath);
 
-        // Only keep if it looks like valid Python
-        if (code.includes('def ') && code.length > 50 && code.length < 5000) {
-          solutions.push(code);
-        }
+  if (existing && existing.path !== relativePath) {
+    fs.rmSync(path.join(CACHE_ROOT, existing.path), { force: true });
+  }
+
+  index.problems[titleSlug] = buildIndexEntry(record, relativePath);
+  writeCacheIndex(index);
+}
+
+/**
+ * Add or update a company's membership of a cached problem
+ *
+ * details: { frequency, periods } from the company's CSVs.
+ * Returns false when the problem is not cached or nothing changed.
+ */
+function setCompanyMembership(titleSlug, company, details = {}) {
+  const data = loadProblemCache(titleSlug);
+  if (!data) return false;
+
+  const companies = getRecordCompanies(data).filter(m => m.name !== company);
+  const previous = getRecordCompanies(data).find(m => m.name === company);
+  const membership = { name: company, ...details };
+
+  if (previous && JSON.stringify(previous) === JSON.stringify(membership) && Array.isArray(data.companies)) {
+    return false;
+  }
+
+  companies.push(membership);
+  companies.sort((a, b) => a.name.localeCompare(b.name));
+  saveProblemCache(titleSlug, { ...data, companies });
+  return true;
+}
+
+/**
+ * Remove a company from a cached problem's memberships
+ *
+ * Returns false when the problem is not cached or had no such membership
+ */
+function removeCompanyMembership(titleSlug, company) {
+  const data = loadProblemCache(titleSlug);
+  if (!data) return false;
+
+  const companies = getRecordCompanies(data);
+  if (!companies.some(m => m.name === company)) return false;
+
+  saveProblemCache(titleSlug, { ...data, companies: companies.filter(m => m.name !== company) });
+  return true;
+}
+
+/**
+ * Delete a cached problem and its index entry
+ */
+function removeProblemCache(titleSlug) {
+  const index = loadCacheIndex();
+  const entry = index.problems[titleSlug];
+  if (!entry) return false;
+
+  fs.rmSync(path.join(CACHE_ROOT, entry.path), { force: true });
+  delete index.problems[titleSlug];
+  writeCacheIndex(index);
+  return true;
+}
+
+/**
+ * Move problems from per-company folders to problems/<slug>.json
+ *
+ * Duplicates across folders are merged into one record with every
+ * folder's company. Returns { moved (problems), files, errors }.
+ */
+function migrateCacheFolders() {
+  const records = new Map();
+  const legacyFiles = [];
+  const errors = [];
+
+  // Building a missing index quarantines bad files, so do it before listing them
+  loadCacheIndex();
+
+  // Read everything first: saving a record removes the file the index points at
+  for (const relativePath of listCacheFiles()) {
+    const folder = path.dirname(relativePath);
+    if (folder === PROBLEMS_FOLDER) continue;
+
+    try {
+      const { record: data, errors: problems } = readCacheFile(relativePath);
+      if (problems.length > 0) {
+        quarantineCacheFile(relativePath, problems);
+        errors.push({ file: relativePath, error: `quarantined (${problems.join('; ')})` });
+        continue;
       }
-    }
 
-    // Deduplicate solutions
-    const uniqueSolutions = [...new Set(solutions)];
+      const slug = data.slug;
+      const companies = [...getRecordCompanies(data)];
+      if (!companies.some(m => m.name === folder)) companies.push({ name: folder });
+
+      const current = records.get(slug) || loadProblemCache(slug) || data;
+      const merged = [...getRecordCompanies(current)];
+      for (const membership of companies) {
+        if (!merged.some(m => m.name === membership.name)) merged.push(membership);
+      }
 
-    if (uniqueSolutions.length === 0) {
-      return null;
+      records.set(slug, { ...current, companies: merged });
+      legacyFiles.push(relativePath);
+    } catch (err) {
+      errors.push({ file: relativePath, error: err.message });
     }
+  }
 
-    return {
-      url: url,
-      solutions: uniqueSolutions,
-      // The last solution is typically the optimal one on NeetCode
-      optimalSolution: uniqueSolutions[uniqueSolutions.length - 1],
-      fetchedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    // NeetCode might not have this problem - that's ok
-    if (error.response && error.response.status === 404) {
-      return null;
+  for (const [slug, record] of records) {
+    saveProblemCache(slug, record);
+  }
+  for (const relativePath of legacyFiles) {
+    fs.rmSync(path.join(CACHE_ROOT, relativePath), { force: true });
+  }
+
+  // Drop company folders left empty
+  for (const folder of fs.readdirSync(CACHE_ROOT)) {
+    const folderPath = path.join(CACHE_ROOT, folder);
+    if (folder !== PROBLEMS_FOLDER && fs.statSync(folderPath).isDirectory() && fs.readdirSync(folderPath).length === 0) {
+      fs.rmdirSync(folderPath);
     }
-    console.error(`Error fetching NeetCode solution for ${titleSlug}:`, error.message);
-    return null;
   }
+
+  rebuildCacheIndex();
+  return { moved: records.size, files: legacyFiles.length, errors };
 }
 
 /**
- * Parse HTML content to plain text
+ * Re-render cached descriptions, examples and constraints from their raw HTML
+ *
+ * Records cached before the raw HTML was kept are left alone. Returns
+ * the number of records that changed.
  */
-function htmlToText(html) {
-  if (!html) return '';
-
-  // Remove HTML tags and clean up
-  return html
-    .replace(/<pre>/g, '\n```\n')
-    .replace(/<\/pre>/g, '\n```\n')
-    .replace(/<code>/g, '`')
-    .replace(/<\/code>/g, '`')
-    .replace(/<strong>/g, '**')
-    .replace(/<\/strong>/g, '**')
-    .replace(/<em>/g, '*')
-    .replace(/<\/em>/g, '*')
-    .replace(/<[^>]*>/g, '')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&amp;/g, '&')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+function rerenderDescriptions() {
+  let updated = 0;
+
+  for (const slug of Object.keys(loadCacheIndex().problems)) {
+    const data = loadProblemCache(slug);
+    if (!data || !data.content) continue;
+
+    const { examples, constraints } = parseProblemContent(data.content);
+    const rendered = { description: htmlToMarkdown(data.content), examples, constraints };
+    const current = { description: data.description, examples: data.examples, constraints: data.constraints };
+    if (JSON.stringify(rendered) === JSON.stringify(current)) continue;
+
+    saveProblemCache(slug, { ...data, ...rendered });
+    updated++;
+  }
+
+  return updated;
 }
 
 /**
- * Save problem data to cache (organized by company)
+ * Check whether a problem is cached (index lookup only)
  */
-function saveProblemCache(titleSlug, data, company = 'general') {
-  const companyDir = path.join(CACHE_ROOT, company);
-  if (!fs.existsSync(companyDir)) {
-    fs.mkdirSync(companyDir, { recursive: true });
-  }
-  const filePath = path.join(companyDir, `${titleSlug}.json`);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+function isProblemCached(titleSlug) {
+  return Boolean(loadCacheIndex().problems[titleSlug]);
 }
 
 /**
- * Load problem from cache (check all company folders)
+ * Load problem from cache (located through the index)
  */
 function loadProblemCache(titleSlug) {
-  // First check if cache root exists
-  if (!fs.existsSync(CACHE_ROOT)) {
+  const index = loadCacheIndex();
+  const entry = index.problems[titleSlug];
+  if (!entry) {
     return null;
   }
 
-  // Check all company folders
-  const companies = fs.readdirSync(CACHE_ROOT).filter(f =>
-    fs.statSync(path.join(CACHE_ROOT, f)).isDirectory()
-  );
+  const filePath = path.join(CACHE_ROOT, entry.path);
+  if (!fs.existsSync(filePath)) {
+    // Index is stale - "cache rebuild-index" fixes this
+    return null;
+  }
+
+  const { record, errors } = readCacheFile(entry.path);
+  if (errors.length > 0) {
+    quarantineCacheFile(entry.path, errors);
+    delete index.problems[titleSlug];
+    writeCacheIndex(index);
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Write every cached record that is on an older schema back in the current one
+ *
+ * Records that fail validation are quarantined. Returns { upgraded,
+ * quarantined } (slugs)
+ */
+function upgradeCacheRecords() {
+  const upgraded = [];
+  const quarantined = [];
+
+  for (const [slug, entry] of Object.entries(loadCacheIndex().problems)) {
+    let version = null;
+    try {
+      version = getSchemaVersion(JSON.parse(fs.readFileSync(path.join(CACHE_ROOT, entry.path), 'utf-8')));
+    } catch (err) {
+      // Unreadable - loadProblemCache quarantines it below
+    }
+
+    const record = loadProblemCache(slug);
+    if (!record) {
+      if (!isProblemCached(slug)) quarantined.push(slug);
+      continue;
+    }
 
-  for (const company of companies) {
-    const filePath = path.join(CACHE_ROOT, company, `${titleSlug}.json`);
-    if (fs.existsSync(filePath)) {
-      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (version !== CACHE_SCHEMA_VERSION) {
+      saveProblemCache(slug, record);
+      upgraded.push(slug);
     }
   }
 
-  return null;
+  return { upgraded, quarantined };
+}
+
+/**
+ * Check every cached record against the schema, quarantining bad ones
+ *
+ * Returns { checked, quarantined: [{ file, errors }] }
+ */
+function validateCache() {
+  const quarantined = [];
+  const files = listCacheFiles();
+
+  for (const relativePath of files) {
+    const { errors } = readCacheFile(relativePath);
+    if (errors.length > 0) {
+      quarantineCacheFile(relativePath, errors);
+      quarantined.push({ file: relativePath, errors });
+    }
+  }
+
+  if (quarantined.length > 0) rebuildCacheIndex();
+  return { checked: files.length, quarantined };
 }
 
 /**
- * Fetch and cache a problem
+ * Describe where a record's solutions came from, e.g. "NeetCode"
  */
-async function fetchAndCacheProblem(url, company = 'general') {
+function describeSolutionSources(solutions) {
+  return Object.values(solutions).map(entry => entry.source).join(', ');
+}
+
+/**
+ * Turn LeetCode's question data into a cache record
+ */
+function buildProblemRecord(data, solutions, company = 'general', membership = {}) {
+  const { examples, constraints } = parseProblemContent(data.content);
+
+  return {
+    schemaVersion: CACHE_SCHEMA_VERSION,
+    id: data.questionId,
+    title: data.title,
+    slug: data.titleSlug,
+    difficulty: data.difficulty,
+    description: htmlToMarkdown(data.content),
+    // Raw HTML, so descriptions can be re-rendered without refetching
+    content: data.content,
+    examples,
+    constraints,
+    topics: data.topicTags.map(t => t.name),
+    hints: data.hints || [],
+    codeSnippets: data.codeSnippets,
+    sampleTestCase: data.sampleTestCase,
+    exampleTestcases: data.exampleTestcases,
+    metaData: data.metaData,
+    similarQuestions: data.similarQuestions,
+    solutions,
+    cached_at: new Date().toISOString(),
+    companies: company && company !== 'general' ? [{ name: company, ...membership }] : []
+  };
+}
+
+/**
+ * Fetch and cache a problem, with solutions in the given language
+ */
+async function fetchAndCacheProblem(url, company = 'general', membership = {}, language = 'python3') {
   const slug = extractSlug(url);
   if (!slug) {
     console.error('Invalid LeetCode URL:', url);
@@ -340,36 +597,12 @@ async function fetchAndCacheProblem(url, company = 'general') {
   const data = await fetchProblemDetails(slug);
 
   if (data) {
-    // Try to fetch NeetCode solution first
-    console.log(`Fetching NeetCode solution for: ${slug}...`);
-    let solution = await fetchNeetCodeSolution(slug);
-
-    // If NeetCode doesn't have it, try LeetCode discussion as fallback
-    if (!solution && data.questionId) {
-      console.log(`NeetCode not found, trying LeetCode discussion for: ${slug}...`);
-      solution = await fetchLeetCodeDiscussionSolution(data.questionId, slug);
-    }
+    console.log(`Fetching solutions for: ${slug}...`);
+    const solutions = await fetchSolutions({ id: data.questionId, slug }, { language });
+    const processed = buildProblemRecord(data, solutions, company, membership);
 
-    // Process the data
-    const processed = {
-      id: data.questionId,
-      title: data.title,
-      slug: data.titleSlug,
-      difficulty: data.difficulty,
-      description: htmlToText(data.content),
-      topics: data.topicTags.map(t => t.name),
-      hints: data.hints || [],
-      codeSnippets: data.codeSnippets,
-      sampleTestCase: data.sampleTestCase,
-      exampleTestcases: data.exampleTestcases,
-      similarQuestions: data.similarQuestions,
-      neetcodeSolution: solution,
-      cached_at: new Date().toISOString(),
-      company: company
-    };
-
-    const solutionSource = solution ? (solution.source === 'leetcode_discussion' ? 'LeetCode discussion' : 'NeetCode') : null;
-    saveProblemCache(slug, processed, company);
+    const solutionSource = describeSolutionSources(solutions);
+    saveProblemCache(slug, processed);
     console.log(`✓ Cached: ${slug}${solutionSource ? ` (with ${solutionSource} solution)` : ''}`);
 
     // Rate limiting - be nice to servers
@@ -382,98 +615,140 @@ async function fetchAndCacheProblem(url, company = 'general') {
 }
 
 /**
- * Get all cached problems (optionally filtered by company)
+ * Download and cache a problem for bulk jobs
+ *
+ * Unlike fetchAndCacheProblem this is quiet, does not sleep, and throws
+ * when the problem can't be fetched so the job queue can retry it
  */
-function getAllCachedProblems(company = null) {
-  const problems = [];
+async function downloadProblem(slug, company = 'general', membership = {}) {
+  const data = await requestProblemDetails(slug);
+  const solutions = await fetchSolutions({ id: data.questionId, slug });
+  const processed = buildProblemRecord(data, solutions, company, membership);
+  saveProblemCache(slug, processed);
+  return processed;
+}
 
-  if (!fs.existsSync(CACHE_ROOT)) {
-    return problems;
+/**
+ * Fetch a cached problem again, for bulk refresh jobs
+ *
+ * Solutions are fetched again for every language the record has them in
+ * (Python when it has none). Keeps the record's company memberships, and
+ * its solutions in a language no provider has one for now. Throws like
+ * downloadProblem.
+ */
+async function refreshProblem(slug) {
+  const existing = loadProblemCache(slug);
+  const data = await requestProblemDetails(slug);
+  const previous = existing ? getCachedSolutions(existing) : [];
+  const languages = [...new Set(previous.map(entry => entry.language || 'python3'))];
+
+  let solutions = {};
+  for (const language of languages.length > 0 ? languages : ['python3']) {
+    const found = await fetchSolutions({ id: data.questionId, slug }, { language });
+    const kept = Object.keys(found).length > 0 ? found : toSolutionMap(previous.filter(entry => (entry.language || 'python3') === language));
+    solutions = { ...solutions, ...kept };
   }
 
-  const companies = company ? [company] : fs.readdirSync(CACHE_ROOT).filter(f =>
-    fs.statSync(path.join(CACHE_ROOT, f)).isDirectory()
-  );
-
-  for (const comp of companies) {
-    const companyDir = path.join(CACHE_ROOT, comp);
-    if (!fs.existsSync(companyDir)) continue;
+  const processed = buildProblemRecord(data, solutions);
+  processed.companies = existing ? getRecordCompanies(existing) : [];
 
-    const files = fs.readdirSync(companyDir).filter(f => f.endsWith('.json'));
-
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(companyDir, file), 'utf-8'));
-        problems.push(data);
-      } catch (err) {
-        console.error(`Error reading ${file}:`, err.message);
-      }
-    }
-  }
+  saveProblemCache(slug, processed);
+  return processed;
+}
 
-  return problems;
+/**
+ * Get all cached problems (optionally filtered by company)
+ *
+ * Served from the index, so each problem is a summary
+ * ({ slug, title, difficulty, topics, company, companies, hasSolution, cached_at })
+ * - use loadProblemCache for the full record
+ */
+function getAllCachedProblems(company = null) {
+  const { problems } = loadCacheIndex();
+
+  return Object.entries(problems)
+    .filter(([, entry]) => !company || entry.companies.includes(company))
+    .map(([slug, entry]) => ({
+      slug,
+      title: entry.title,
+      difficulty: entry.difficulty,
+      topics: entry.topics,
+      company: company || entry.companies[0] || 'general',
+      companies: entry.companies,
+      hasSolution: entry.hasSolution,
+      cached_at: entry.cached_at
+    }));
 }
 
 /**
  * Get list of cached companies
  */
 function getCachedCompanies() {
-  if (!fs.existsSync(CACHE_ROOT)) {
-    return [];
+  const companies = new Set();
+  for (const entry of Object.values(loadCacheIndex().problems)) {
+    entry.companies.forEach(comp => companies.add(comp));
   }
-
-  return fs.readdirSync(CACHE_ROOT).filter(f =>
-    fs.statSync(path.join(CACHE_ROOT, f)).isDirectory()
-  ).sort();
+  return [...companies].sort();
 }
 
 /**
- * Fetch solution for an already-cached problem (on demand)
- * Tries NeetCode first, then falls back to LeetCode discussion
- * Updates the cache with the solution data
+ * Fetch solutions for an already-cached problem (on demand)
+ *
+ * Asks the enabled providers (see solutions.js) for the language and adds
+ * what they find to the record's solutions. Returns the record's solutions
+ * in that language, best provider first (empty if none).
  */
-async function fetchNeetCodeForCached(titleSlug) {
+async function fetchSolutionsForCached(titleSlug, language = 'python3') {
   const cached = loadProblemCache(titleSlug);
   if (!cached) {
-    return null;
+    return [];
   }
 
-  // If already has solution, return it
-  if (cached.neetcodeSolution) {
-    return cached.neetcodeSolution;
+  // If already has a solution in this language, return it
+  const existing = getCachedSolutions(cached, language);
+  if (existing.length > 0) {
+    return existing;
   }
 
-  // Try NeetCode first
-  console.log(`Fetching NeetCode solution for cached problem: ${titleSlug}...`);
-  let solution = await fetchNeetCodeSolution(titleSlug);
-
-  // If NeetCode doesn't have it, try LeetCode discussion as fallback
-  if (!solution && cached.id) {
-    console.log(`NeetCode not found, trying LeetCode discussion for: ${titleSlug}...`);
-    solution = await fetchLeetCodeDiscussionSolution(cached.id, titleSlug);
-  }
+  console.log(`Fetching solutions for cached problem: ${titleSlug}...`);
+  const found = await fetchSolutions({ id: cached.id, slug: titleSlug }, { language });
 
-  if (solution) {
-    // Update the cache with the solution
-    cached.neetcodeSolution = solution;
-    saveProblemCache(titleSlug, cached, cached.company || 'general');
-    const source = solution.source === 'leetcode_discussion' ? 'LeetCode discussion' : 'NeetCode';
-    console.log(`✓ Updated cache with ${source} solution: ${titleSlug}`);
+  if (Object.keys(found).length > 0) {
+    cached.solutions = { ...toSolutionMap(getCachedSolutions(cached)), ...found };
+    saveProblemCache(titleSlug, cached);
+    console.log(`✓ Updated cache with ${describeSolutionSources(found)} solution: ${titleSlug}`);
   }
 
-  return solution;
+  return getCachedSolutions(cached, language);
 }
 
 // Export functions for use in other modules
 module.exports = {
+  CACHE_ROOT,
+  CACHE_INDEX_FILE,
+  QUARANTINE_FOLDER,
+  requestProblemDetails,
   fetchAndCacheProblem,
+  downloadProblem,
+  refreshProblem,
   loadProblemCache,
+  saveProblemCache,
+  removeProblemCache,
+  isProblemCached,
+  loadCacheIndex,
+  rebuildCacheIndex,
+  getRecordCompanies,
+  getQuarantineReport,
+  upgradeCacheRecords,
+  validateCache,
+  setCompanyMembership,
+  removeCompanyMembership,
+  migrateCacheFolders,
+  rerenderDescriptions,
   extractSlug,
-  htmlToText,
   getAllCachedProblems,
   getCachedCompanies,
-  fetchNeetCodeSolution,
-  fetchNeetCodeForCached
+  fetchSolutionsForCached
 };
 
 // CLI usage
@@ -0,0 +1,336 @@
+/**
+ * Problem Search
+ *
+ * An inverted index over every problem we know about: titles, topics,
+ * descriptions and hints of cached problems, plus the titles and topics of
+ * every problem in the company CSVs. Queries are ranked (title and topic
+ * matches weigh more than description ones), misspelled or partial words
+ * match fuzzily, and results can be filtered by topic, difficulty and
+ * company.
+ *
+ * The index is saved to problem-cache/search-index.json and rebuilt when
+ * the cache index or the company list changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCompanies, loadProblems, splitTopics, matchesTopics } = require('./dataset');
+const { CACHE_ROOT, CACHE_INDEX_FILE, extractSlug, loadCacheIndex, loadProblemCache } = require('./scraper');
+
+const SEARCH_INDEX_FILE = path.join(CACHE_ROOT, 'search-index.json');
+const SEARCH_INDEX_VERSION = 1;
+
+// How much a term counts for in each field
+const FIELD_WEIGHTS = {
+  title: 5,
+  topics: 3,
+  hints: 1,
+  description: 1
+};
+
+// Score multipliers for terms that only match fuzzily
+const PREFIX_MATCH = 0.7;
+const EDIT_MATCH = [1, 0.6, 0.4];
+
+// Saturation for repeated terms (a word used ten times is not ten times as relevant)
+const TERM_SATURATION = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'given', 'if', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'return', 'such', 'that', 'the', 'then', 'there',
+  'this', 'to', 'we', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a simple stem so plurals match (fruits -> fruit,
+ * queries -> query)
+ */
+function normalizeTerm(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into normalized search terms
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(normalizeTerm);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edits allowed for a query term: none for short words, one from four
+ * letters, two from eight
+ */
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Strip tags from cached hint HTML
+ */
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]+>/g, ' ').replace(/&[a-z]+;|&#\d+;/g, ' ');
+}
+
+/**
+ * Collect one document per problem from the CSVs and the cache
+ */
+async function collectDocuments() {
+  const bySlug = new Map();
+
+  const getDoc = (slug, title) => {
+    if (!bySlug.has(slug)) {
+      bySlug.set(slug, { slug, title, difficulty: null, topics: [], companies: [], frequency: 0, cached: false, text: {} });
+    }
+    return bySlug.get(slug);
+  };
+
+  for (const company of getCompanies()) {
+    let rows;
+    try {
+      rows = await loadProblems(company, 'All');
+    } catch (err) {
+      // Companies without an "All" file only have per-period lists
+      continue;
+    }
+
+    for (const row of rows) {
+      const slug = extractSlug(row.Link || '');
+      if (!slug) continue;
+
+      const doc = getDoc(slug, row.Title);
+      doc.difficulty = doc.difficulty || (row.Difficulty || '').toUpperCase();
+      if (doc.topics.length === 0) {
+        doc.topics = splitTopics(row.Topics);
+      }
+      if (!doc.companies.includes(company)) doc.companies.push(company);
+      doc.frequency = Math.max(doc.frequency, parseFloat(row.Frequency) || 0);
+    }
+  }
+
+  for (const slug of Object.keys(loadCacheIndex().problems)) {
+    const record = loadProblemCache(slug);
+    if (!record) continue;
+
+    const doc = getDoc(slug, record.title);
+    doc.title = record.title || doc.title;
+    doc.difficulty = (record.difficulty || doc.difficulty || '').toUpperCase();
+    if (record.topics && record.topics.length > 0) doc.topics = record.topics;
+    for (const { name } of record.companies || []) {
+      if (!doc.companies.includes(name)) doc.companies.push(name);
+    }
+    doc.cached = true;
+    doc.text.description = record.description || '';
+    doc.text.hints = (record.hints || []).map(stripTags).join(' ');
+  }
+
+  return [...bySlug.values()];
+}
+
+/**
+ * Fingerprint of the index inputs: the cache index file and the company list
+ */
+function getSourceFingerprint() {
+  const cacheStamp = fs.existsSync(CACHE_INDEX_FILE)
+    ? `${fs.statSync(CACHE_INDEX_FILE).mtimeMs}:${fs.statSync(CACHE_INDEX_FILE).size}`
+    : 'none';
+  return `${cacheStamp}|${getCompanies().join(',')}`;
+}
+
+/**
+ * Build the inverted index
+ *
+ * postings maps each term to [[doc number, weighted count], ...]
+ */
+async function buildSearchIndex() {
+  const fingerprint = getSourceFingerprint();
+  const docs = await collectDocuments();
+  const postings = {};
+
+  docs.forEach((doc, docId) => {
+    const counts = new Map();
+    const fields = { title: doc.title, topics: doc.topics.join(' '), ...doc.text };
+
+    for (const [field, text] of Object.entries(fields)) {
+      for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+
+    for (const [term, weight] of counts) {
+      (postings[term] = postings[term] || []).push([docId, weight]);
+    }
+    delete doc.text;
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fingerprint,
+    builtAt: new Date().toISOString(),
+    docs,
+    postings
+  };
+}
+
+/**
+ * Save the index (temp file + rename)
+ */
+function saveSearchIndex(index) {
+  fs.mkdirSync(path.dirname(SEARCH_INDEX_FILE), { recursive: true });
+  const tmpPath = `${SEARCH_INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index));
+  fs.renameSync(tmpPath, SEARCH_INDEX_FILE);
+}
+
+/**
+ * Load the saved index, rebuilding it when it is missing or out of date
+ *
+ * Returns { index, rebuilt }
+ */
+async function loadSearchIndex(options = {}) {
+  if (!options.rebuild && fs.existsSync(SEARCH_INDEX_FILE)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(SEARCH_INDEX_FILE, 'utf-8'));
+      if (index.version === SEARCH_INDEX_VERSION && index.fingerprint === getSourceFingerprint()) {
+        return { index, rebuilt: false };
+      }
+    } catch (err) {
+      // Unreadable index - rebuild it below
+    }
+  }
+
+  const index = await buildSearchIndex();
+  saveSearchIndex(index);
+  return { index, rebuilt: true };
+}
+
+/**
+ * Index terms matching a query term: the term itself, terms it is a prefix
+ * of, and terms within maxEdits() edits. Returns [[term, multiplier], ...]
+ */
+function expandTerm(index, term) {
+  const matches = [];
+  const edits = maxEdits(term);
+
+  for (const candidate of Object.keys(index.postings)) {
+    if (candidate === term) {
+      matches.push([candidate, 1]);
+    } else if (term.length >= 3 && candidate.startsWith(term)) {
+      matches.push([candidate, PREFIX_MATCH]);
+    } else if (edits > 0) {
+      const distance = editDistance(term, candidate, edits);
+      if (distance <= edits) matches.push([candidate, EDIT_MATCH[distance]]);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check a document against the topic, difficulty and company filters
+ */
+function matchesFilters(doc, filters) {
+  if (filters.difficulty && doc.difficulty !== filters.difficulty.toUpperCase()) return false;
+  if (!matchesTopics(doc.topics, filters.topics, filters.topicMode || 'any')) return false;
+  if (filters.company) {
+    const company = filters.company.toLowerCase();
+    if (!doc.companies.some(c => c.toLowerCase() === company)) return false;
+  }
+  return true;
+}
+
+/**
+ * Search the index
+ *
+ * options: { topics, topicMode, difficulty, company, limit }. Each query term scores
+ * its best match in a document (exact, prefix or fuzzy), weighted by how
+ * rare the term is; documents matching more of the query rank higher, and
+ * ties go to the more frequently asked problem. With an empty query every
+ * problem passing the filters is returned, most frequently asked first.
+ *
+ * Returns [{ slug, title, difficulty, topics, companies, cached, score, matched }]
+ */
+function searchProblems(index, query, options = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const docCount = index.docs.length;
+  const scores = new Map();
+
+  terms.forEach((term, termIdx) => {
+    for (const [candidate, multiplier] of expandTerm(index, term)) {
+      const postings = index.postings[candidate];
+      const idf = Math.log(1 + docCount / postings.length);
+
+      for (const [docId, weight] of postings) {
+        const score = multiplier * idf * (weight / (weight + TERM_SATURATION));
+        if (!scores.has(docId)) scores.set(docId, { best: new Array(terms.length).fill(0), matched: new Set() });
+        const entry = scores.get(docId);
+        if (score > entry.best[termIdx]) entry.best[termIdx] = score;
+        entry.matched.add(candidate);
+      }
+    }
+  });
+
+  const phrase = String(query).trim().toLowerCase();
+  const candidates = terms.length > 0
+    ? [...scores.keys()]
+    : index.docs.map((_, docId) => docId);
+
+  const results = candidates
+    .map(docId => {
+      const doc = index.docs[docId];
+      const entry = scores.get(docId);
+      let score = 0;
+      let matched = [];
+
+      if (entry) {
+        const hits = entry.best.filter(s => s > 0).length;
+        score = entry.best.reduce((sum, s) => sum + s, 0) * (hits / terms.length);
+        if (phrase && doc.title.toLowerCase().includes(phrase)) score += 1;
+        matched = [...entry.matched];
+      }
+
+      return { ...doc, score: Math.round(score * 1000) / 1000, matched };
+    })
+    .filter(result => matchesFilters(result, options))
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency || a.title.localeCompare(b.title));
+
+  return options.limit ? results.slice(0, options.limit) : results;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  loadSearchIndex,
+  searchProblems
+};
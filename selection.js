@@ -0,0 +1,106 @@
+/**
+ * Problem Selection Strategies
+ *
+ * How random mode and mock interviews pick problems from the filtered list:
+ *   uniform     every problem is equally likely
+ *   frequency   weighted by the CSV Frequency column (a study plan's
+ *               score for planned problems)
+ *   recency     weighted by the period files a problem appears in (recent
+ *               periods count more, with the study plan's PERIOD_WEIGHTS)
+ *   acceptance  lowest acceptance rate first (not random)
+ *   unseen      uniform over problems with no history in progress.json
+ *
+ * Several problems are picked without repeats.
+ */
+
+const { PERIOD_WEIGHTS } = require('./plan');
+const { extractSlug } = require('./scraper');
+
+const STRATEGIES = ['uniform', 'frequency', 'recency', 'acceptance', 'unseen'];
+
+/**
+ * Acceptance rate as a fraction ("0.4782" and "47.8%" both give 0.478);
+ * missing rates count as 1 so they sort last
+ */
+function parseAcceptance(value) {
+  const rate = parseFloat(value);
+  if (Number.isNaN(rate)) return 1;
+  return String(value).includes('%') || rate > 1 ? rate / 100 : rate;
+}
+
+/**
+ * Slug of a CSV row or plan entry
+ */
+function slugOf(problem) {
+  return problem.slug || extractSlug(problem.Link || '');
+}
+
+/**
+ * Selection weight of a problem under a weighted strategy
+ */
+function weightOf(problem, strategy, periodsBySlug) {
+  if (strategy === 'frequency') {
+    // Plan entries have a score instead of a frequency; +1 keeps problems
+    // with a blank or zero frequency possible
+    return (parseFloat(problem.Frequency ?? problem.score) || 0) + 1;
+  }
+  if (strategy === 'recency') {
+    const periods = (periodsBySlug && periodsBySlug.get(slugOf(problem))) || problem.periods || [];
+    return periods.reduce((sum, period) => sum + (PERIOD_WEIGHTS[period] || 0), 0) || 1;
+  }
+  return 1;
+}
+
+/**
+ * Pick count distinct items, each draw weighted by weights[i]
+ */
+function weightedSample(items, weights, count, random = Math.random) {
+  const pool = items.map((item, i) => ({ item, weight: weights[i] }));
+  const picked = [];
+
+  while (picked.length < count && pool.length > 0) {
+    const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let target = random() * total;
+    let index = pool.findIndex(entry => (target -= entry.weight) < 0);
+    if (index === -1) index = pool.length - 1;
+    picked.push(pool.splice(index, 1)[0].item);
+  }
+
+  return picked;
+}
+
+/**
+ * Select up to count distinct problems with a strategy
+ *
+ * options: { strategy, periodsBySlug (slug -> period names, for recency;
+ * plan entries carry their own periods), seen (slugs to skip for unseen),
+ * random }. Returns fewer problems than asked for when the list runs out.
+ */
+function selectProblems(problems, count = 1, options = {}) {
+  const strategy = options.strategy || 'uniform';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy: ${strategy} (use ${STRATEGIES.join(', ')})`);
+  }
+
+  if (strategy === 'acceptance') {
+    return [...problems]
+      .sort((a, b) => parseAcceptance(a['Acceptance Rate']) - parseAcceptance(b['Acceptance Rate']))
+      .slice(0, count);
+  }
+
+  let candidates = problems;
+  if (strategy === 'unseen') {
+    const seen = options.seen || new Set();
+    candidates = problems.filter(p => !seen.has(slugOf(p)));
+  }
+
+  const weights = candidates.map(p => weightOf(p, strategy, options.periodsBySlug));
+  return weightedSample(candidates, weights, count, options.random);
+}
+
+module.exports = {
+  STRATEGIES,
+  parseAcceptance,
+  weightedSample,
+  selectProblems
+};
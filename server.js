@@ -0,0 +1,415 @@
+/**
+ * Local Web UI
+ *
+ * A small HTTP server (node's http module, no framework) for browsing and
+ * practicing problems in the browser. The static page lives in web/; the
+ * JSON API reads the company CSVs, the problem cache and progress.json, so
+ * everything works offline:
+ *
+ *   GET  /api/problems             every problem in the CSVs or the cache
+ *   GET  /api/problems/<slug>      a cached problem (description, hints, starter code)
+ *   POST /api/problems/<slug>/run  { code } - run the cached examples with the local runner
+ *
+ * The server listens on 127.0.0.1 by default. Because the run endpoint
+ * executes code, it only accepts JSON requests from its own origin, and
+ * every request must name the server by an address it listens on (see
+ * isAllowedHost).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const cheerio = require('cheerio');
+const { getCompanies, loadProblems, splitTopics } = require('./dataset');
+const { extractSlug, loadCacheIndex, loadProblemCache } = require('./scraper');
+const { getCachedSolutions } = require('./solutions');
+const { findPythonSnippet } = require('./testcases');
+const { runExamples, DEFAULT_TIMEOUT_MS } = require('./runner');
+const { loadProgress } = require('./progress');
+
+const WEB_DIR = path.join(__dirname, 'web');
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+/**
+ * Build the problem list from every company's "All" CSV
+ *
+ * Returns one row per slug with the companies asking it (and how often),
+ * sorted by title. Cache and progress flags are added per request.
+ */
+async function loadProblemList(companies = getCompanies()) {
+  const bySlug = new Map();
+
+  for (const company of companies) {
+    let rows;
+    try {
+      rows = await loadProblems(company, 'All');
+    } catch (err) {
+      // Companies without an "All" file only have per-period lists
+      continue;
+    }
+
+    for (const row of rows) {
+      const slug = extractSlug(row.Link || '');
+      if (!slug) continue;
+
+      if (!bySlug.has(slug)) {
+        bySlug.set(slug, {
+          slug,
+          title: row.Title,
+          difficulty: (row.Difficulty || '').toUpperCase(),
+          topics: splitTopics(row.Topics),
+          acceptance: parseFloat(row['Acceptance Rate']) || null,
+          companies: []
+        });
+      }
+      bySlug.get(slug).companies.push({ name: company, frequency: parseFloat(row.Frequency) || 0 });
+    }
+  }
+
+  return [...bySlug.values()].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Add cache and progress state to the CSV problem list
+ *
+ * Cached problems that no CSV lists (fetched with --fetch, say) are
+ * included too
+ */
+function withProblemState(list) {
+  const { problems: cached } = loadCacheIndex();
+  const { problems: progress } = loadProgress();
+  const listed = new Set(list.map(p => p.slug));
+
+  const extra = Object.entries(cached)
+    .filter(([slug]) => !listed.has(slug))
+    .map(([slug, entry]) => ({
+      slug,
+      title: entry.title,
+      difficulty: (entry.difficulty || '').toUpperCase(),
+      topics: entry.topics || [],
+      acceptance: null,
+      companies: (entry.companies || []).map(name => ({ name, frequency: 0 }))
+    }));
+
+  return [...list, ...extra].map(problem => ({
+    ...problem,
+    cached: Boolean(cached[problem.slug]),
+    hasSolution: Boolean(cached[problem.slug] && cached[problem.slug].hasSolution),
+    status: progress[problem.slug] ? progress[problem.slug].status : null
+  }));
+}
+
+// Tags and attributes problem HTML may keep; other tags are replaced by
+// their content, and DROPPED_TAGS are removed along with it
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'kbd', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'object', 'embed', 'form', 'svg', 'math', 'template',
+  'noscript', 'textarea', 'select', 'button', 'title', 'head', 'meta', 'link', 'base'
+]);
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class', 'title'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan']
+};
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Check a link or image URL: relative URLs and SAFE_URL_SCHEMES only
+ *
+ * The value is already entity-decoded; browsers ignore whitespace and
+ * control characters inside a scheme ("java\tscript:"), so those are
+ * removed before looking at it
+ */
+function isSafeUrl(value) {
+  const scheme = /^([a-z][a-z\d+.-]*):/i.exec(value.replace(/[\u0000-\u0020\u007f-\u009f]/g, ''));
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Clean the children of a node in place (see sanitizeHtml)
+ */
+function sanitizeChildren($, parent) {
+  for (const node of [...(parent.children || [])]) {
+    if (node.type === 'text') continue;
+
+    // Comments, doctypes, CDATA, and scripts and styles (their own node types)
+    if (node.type !== 'tag' || DROPPED_TAGS.has(node.name)) {
+      $(node).remove();
+      continue;
+    }
+
+    sanitizeChildren($, node);
+
+    if (!ALLOWED_TAGS.has(node.name)) {
+      $(node).replaceWith($(node).contents());
+      continue;
+    }
+
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[node.name] || [])];
+    for (const [name, value] of Object.entries(node.attribs)) {
+      if (!allowed.includes(name) || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value))) {
+        $(node).removeAttr(name);
+      }
+    }
+
+    if (node.name === 'a') {
+      $(node).attr({ target: '_blank', rel: 'noopener noreferrer' });
+    }
+  }
+}
+
+/**
+ * Reduce cached problem HTML to an allow-list of formatting tags and
+ * attributes, so it can be shown with innerHTML
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html, null, false);
+  sanitizeChildren($, $.root()[0]);
+  return $.html();
+}
+
+/**
+ * The parts of a cached record the problem page needs
+ */
+function toProblemDetails(record) {
+  const snippet = findPythonSnippet(record);
+  const progress = loadProgress().problems[record.slug] || null;
+
+  return {
+    slug: record.slug,
+    title: record.title,
+    difficulty: record.difficulty,
+    topics: record.topics || [],
+    companies: (record.companies || []).map(m => m.name),
+    // Problems cached before the raw HTML was kept only have the Markdown
+    html: sanitizeHtml(record.content),
+    description: record.description || '',
+    hints: (record.hints || []).map(sanitizeHtml),
+    starterCode: snippet ? snippet.code : '',
+    solutions: getCachedSolutions(record).map(s => ({ source: s.source, url: s.url, code: s.optimalSolution })),
+    status: progress ? progress.status : null,
+    url: `https://leetcode.com/problems/${record.slug}/`
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+/**
+ * Serve a file from web/ (index.html for /)
+ */
+function sendStatic(res, urlPath) {
+  const relative = urlPath === '/' ? 'index.html' : decodeURIComponent(urlPath).replace(/^\/+/, '');
+  const filePath = path.resolve(WEB_DIR, relative);
+
+  if (!filePath.startsWith(WEB_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Read a JSON request body (rejects bodies over MAX_BODY_BYTES)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+      } catch (err) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check that a POST comes from the UI itself
+ *
+ * Requiring a JSON content type forces a CORS preflight from other sites
+ * (which this server never answers), and a cross-origin Origin header is
+ * refused outright
+ */
+function isSameOrigin(req) {
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) return false;
+  const origin = req.headers.origin;
+  return !origin || origin === `http://${req.headers.host}`;
+}
+
+/**
+ * Check the Host header against the addresses the server listens on
+ *
+ * A DNS rebinding attack points an attacker's hostname at 127.0.0.1, which
+ * makes the browser treat this server as the attacker's own origin; the
+ * Host header still carries the attacker's name, so only loopback names,
+ * the --host address and (when listening on every interface) IP addresses
+ * are accepted, on the port the request arrived on
+ */
+function isAllowedHost(req, listenHost = DEFAULT_HOST) {
+  const match = /^(\[[^\]]+\]|[^:]+):(\d+)$/.exec(req.headers.host || '');
+  if (!match || Number(match[2]) !== req.socket.localPort) return false;
+
+  const name = match[1].toLowerCase();
+  const configured = listenHost.includes(':') ? `[${listenHost}]` : listenHost;
+  if (LOOPBACK_HOSTS.includes(name) || name === configured.toLowerCase()) return true;
+
+  // IP literals can't be rebound to another address
+  return WILDCARD_HOSTS.includes(listenHost) && (net.isIP(name) !== 0 || net.isIPv6(name.slice(1, -1)));
+}
+
+/**
+ * Create the web UI server
+ *
+ * options: { problems (from loadProblemList), timeout (per example, ms),
+ * host (the address it listens on) }
+ */
+function createServer(options = {}) {
+  const problems = options.problems || [];
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+
+  const handle = async (req, res) => {
+    if (!isAllowedHost(req, options.host)) {
+      sendJson(res, 403, { error: `Unknown host: ${req.headers.host || '(none)'}` });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(/^\/api\/problems\/([\w-]+)(\/run)?$/);
+
+    if (pathname === '/api/problems' && req.method === 'GET') {
+      sendJson(res, 200, { problems: withProblemState(problems), companies: getCompanies() });
+      return;
+    }
+
+    if (match) {
+      const [, slug, run] = match;
+      const record = loadProblemCache(slug);
+
+      if (!record) {
+        sendJson(res, 404, { error: `Problem not cached: ${slug}`, hint: 'Run "node cli.js cache <company>" to cache it.' });
+        return;
+      }
+
+      if (!run && req.method === 'GET') {
+        sendJson(res, 200, toProblemDetails({ ...record, slug }));
+        return;
+      }
+
+      if (run && req.method === 'POST') {
+        if (!isSameOrigin(req)) {
+          sendJson(res, 403, { error: 'Cross-origin requests are not allowed' });
+          return;
+        }
+
+        const { code } = await readJsonBody(req);
+        if (typeof code !== 'string' || !code.trim()) {
+          sendJson(res, 400, { error: 'No code to run' });
+          return;
+        }
+
+        const results = await runExamples(record, code, { timeout, sourcePath: `${slug}.py` });
+        sendJson(res, 200, { results });
+        return;
+      }
+
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    if (req.method === 'GET' && !pathname.startsWith('/api/')) {
+      sendStatic(res, pathname);
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, err.status || 500, { error: err.message });
+    });
+  });
+}
+
+/**
+ * Start the server; resolves with the listening http.Server
+ *
+ * options: { port, host, timeout }
+ */
+async function startServer(options = {}) {
+  const problems = await loadProblemList();
+  const host = options.host || DEFAULT_HOST;
+  const server = createServer({ problems, timeout: options.timeout, host });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? DEFAULT_PORT, host, resolve);
+  });
+
+  return server;
+}
+
+module.exports = {
+  WEB_DIR,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  loadProblemList,
+  withProblemState,
+  sanitizeHtml,
+  isAllowedHost,
+  toProblemDetails,
+  createServer,
+  startServer
+};
@@ -0,0 +1,186 @@
+/**
+ * Similar-Problem Graph
+ *
+ * LeetCode lists related problems for each question; the scraper caches
+ * them as the raw `similarQuestions` JSON string. This module parses them
+ * into an undirected graph (if A lists B, B is related to A too) with a
+ * node for every cached problem and every problem they point to, and picks
+ * a "next problem" to practice after finishing one.
+ *
+ * The graph is saved to problem-cache/similar-graph.json and rebuilt when
+ * the cache index changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CACHE_ROOT, CACHE_INDEX_FILE, loadCacheIndex, loadProblemCache } = require('./scraper');
+
+const SIMILAR_GRAPH_FILE = path.join(CACHE_ROOT, 'similar-graph.json');
+const SIMILAR_GRAPH_VERSION = 1;
+const DIFFICULTY_RANK = { EASY: 1, MEDIUM: 2, HARD: 3 };
+
+/**
+ * Parse a cached similarQuestions value into [{ slug, title, difficulty }]
+ *
+ * LeetCode sends a JSON string; anything unreadable counts as no related
+ * problems
+ */
+function parseSimilarQuestions(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (err) {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .filter(q => q && typeof q.titleSlug === 'string' && q.titleSlug)
+    .map(q => ({
+      slug: q.titleSlug,
+      title: q.title || q.titleSlug,
+      difficulty: (q.difficulty || '').toUpperCase() || null
+    }));
+}
+
+/**
+ * Fingerprint of the graph's input: the cache index file
+ */
+function getSourceFingerprint() {
+  if (!fs.existsSync(CACHE_INDEX_FILE)) return 'none';
+  const stat = fs.statSync(CACHE_INDEX_FILE);
+  return `${stat.mtimeMs}:${stat.size}`;
+}
+
+/**
+ * Build the graph from every cached problem
+ *
+ * nodes maps slug -> { slug, title, difficulty, cached, neighbors: [slug] }
+ */
+function buildSimilarGraph() {
+  const fingerprint = getSourceFingerprint();
+  const nodes = {};
+
+  const getNode = (slug, title, difficulty) => {
+    if (!nodes[slug]) nodes[slug] = { slug, title, difficulty, cached: false, neighbors: [] };
+    const node = nodes[slug];
+    node.title = node.title || title;
+    node.difficulty = node.difficulty || difficulty;
+    return node;
+  };
+
+  const link = (a, b) => {
+    if (a.slug === b.slug) return;
+    if (!a.neighbors.includes(b.slug)) a.neighbors.push(b.slug);
+    if (!b.neighbors.includes(a.slug)) b.neighbors.push(a.slug);
+  };
+
+  for (const slug of Object.keys(loadCacheIndex().problems)) {
+    const record = loadProblemCache(slug);
+    if (!record) continue;
+
+    const node = getNode(slug, record.title, record.difficulty.toUpperCase());
+    // The cached record is authoritative over what other problems say about it
+    node.title = record.title;
+    node.difficulty = record.difficulty.toUpperCase();
+    node.cached = true;
+
+    for (const similar of parseSimilarQuestions(record.similarQuestions)) {
+      link(node, getNode(similar.slug, similar.title, similar.difficulty));
+    }
+  }
+
+  return {
+    version: SIMILAR_GRAPH_VERSION,
+    fingerprint,
+    builtAt: new Date().toISOString(),
+    nodes
+  };
+}
+
+/**
+ * Save the graph (temp file + rename)
+ */
+function saveSimilarGraph(graph) {
+  fs.mkdirSync(path.dirname(SIMILAR_GRAPH_FILE), { recursive: true });
+  const tmpPath = `${SIMILAR_GRAPH_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(graph));
+  fs.renameSync(tmpPath, SIMILAR_GRAPH_FILE);
+}
+
+/**
+ * Load the saved graph, rebuilding it when it is missing or out of date
+ *
+ * Returns { graph, rebuilt }
+ */
+function loadSimilarGraph(options = {}) {
+  if (!options.rebuild && fs.existsSync(SIMILAR_GRAPH_FILE)) {
+    try {
+      const graph = JSON.parse(fs.readFileSync(SIMILAR_GRAPH_FILE, 'utf-8'));
+      if (graph.version === SIMILAR_GRAPH_VERSION && graph.fingerprint === getSourceFingerprint()) {
+        return { graph, rebuilt: false };
+      }
+    } catch (err) {
+      // Unreadable graph - rebuild it below
+    }
+  }
+
+  const graph = buildSimilarGraph();
+  saveSimilarGraph(graph);
+  return { graph, rebuilt: true };
+}
+
+/**
+ * Related problems of a slug, easiest first (empty when the slug is unknown)
+ */
+function getSimilarProblems(graph, slug) {
+  const node = graph.nodes[slug];
+  if (!node) return [];
+
+  return node.neighbors
+    .map(neighbor => graph.nodes[neighbor])
+    .filter(Boolean)
+    .sort((a, b) => (DIFFICULTY_RANK[a.difficulty] || 4) - (DIFFICULTY_RANK[b.difficulty] || 4) || a.title.localeCompare(b.title));
+}
+
+/**
+ * Suggest what to practice after a problem
+ *
+ * statuses maps slug -> progress status ('solved', 'failed', 'attempted').
+ * Solved problems are skipped. Related problems are preferred over ones two
+ * steps away; among those, cached ones, then the same difficulty or one
+ * step harder, then ones never attempted. Returns { problem, via } or null;
+ * via is the related problem that links to a two-step suggestion.
+ */
+function suggestNextProblem(graph, slug, statuses = {}) {
+  const origin = graph.nodes[slug];
+  if (!origin) return null;
+
+  const originRank = DIFFICULTY_RANK[origin.difficulty] || 2;
+  const score = node => {
+    const step = (DIFFICULTY_RANK[node.difficulty] || originRank) - originRank;
+    return (node.cached ? 4 : 0) +
+      (step === 0 || step === 1 ? 2 : 0) +
+      (statuses[node.slug] ? 0 : 1);
+  };
+  const best = candidates => candidates
+    .filter(({ problem }) => problem.slug !== slug && statuses[problem.slug] !== 'solved')
+    .sort((a, b) => score(b.problem) - score(a.problem) || a.problem.title.localeCompare(b.problem.title))[0] || null;
+
+  const neighbors = getSimilarProblems(graph, slug);
+  const direct = best(neighbors.map(problem => ({ problem, via: null })));
+  if (direct) return direct;
+
+  return best(neighbors.flatMap(via => getSimilarProblems(graph, via.slug).map(problem => ({ problem, via }))));
+}
+
+module.exports = {
+  SIMILAR_GRAPH_FILE,
+  parseSimilarQuestions,
+  buildSimilarGraph,
+  loadSimilarGraph,
+  getSimilarProblems,
+  suggestNextProblem
+};
@@ -0,0 +1,447 @@
+/**
+ * Solution Providers
+ *
+ * Reference solutions come from providers. A provider has an id, a display
+ * name, a default priority (lower runs first), the languages it supports,
+ * fetch(problem, language) which returns raw data (or null when it has
+ * nothing for the problem) and parse(raw, problem, language) which turns
+ * that into { url, solutions, optimalSolution }.
+ *
+ * Which providers run, and in what order, comes from
+ * solution-providers.json (see loadProviderConfig), read once per process.
+ * Results are cached per provider and language under the record's
+ * `solutions` field (see getSolutionKey).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHttpClient } = require('./client');
+
+const PROVIDER_CONFIG_FILE = path.join(__dirname, 'solution-providers.json');
+const LEETCODE_GRAPHQL_URL = 'https://leetcode.com/graphql';
+const NEETCODE_BASE_URL = 'https://neetcode.io/solutions';
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// File extensions the local provider reads, by language
+const LANGUAGE_EXTENSIONS = {
+  python3: '.py',
+  java: '.java',
+  cpp: '.cpp',
+  javascript: '.js',
+  typescript: '.ts',
+  golang: '.go'
+};
+
+/**
+ * Pull Python code blocks out of a LeetCode discussion post
+ */
+function extractDiscussionCode(content) {
+  const solutions = [];
+
+  // Python3 blocks first, then python/python3 in any case
+  const splits = [content.split('```Python3'), content.split(/```(?:python3?|Python)/i)];
+  for (const parts of splits) {
+    for (let i = 1; i < parts.length; i++) {
+      const part = parts[i];
+      const endIdx = part.indexOf('```');
+      if (endIdx > 0) {
+        let code = part.substring(0, endIdx);
+        // Remove the [] marker at the start
+        code = code.replace(/^\s*\[\]\s*\\n/, '');
+        // Convert literal \n to actual newlines
+        code = code.replace(/\\n/g, '\n').trim();
+
+        if ((code.includes('class Solution') || code.includes('def ')) && code.length > 30) {
+          solutions.push(code);
+        }
+      }
+    }
+  }
+
+  return solutions;
+}
+
+/**
+ * NeetCode.io solution pages (Python)
+ */
+const neetcodeProvider = {
+  id: 'neetcode',
+  name: 'NeetCode',
+  priority: 20,
+  languages: ['python3'],
+
+  async fetch(problem) {
+    const url = `${NEETCODE_BASE_URL}/${problem.slug}`;
+    try {
+      const response = await getHttpClient().get(url, { headers: { 'User-Agent': USER_AGENT } });
+      return { url, html: response.data };
+    } catch (error) {
+      // NeetCode might not have this problem - that's ok
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  },
+
+  parse({ url, html }) {
+    const solutions = [];
+
+    // NeetCode embeds code in various formats - look for Python class
+    // Solution blocks (handles escaped newlines)
+    const classPattern = /class Solution:[\s\S]*?(?=class Solution:|```[a-z]|$)/g;
+    for (let code of String(html).match(classPattern) || []) {
+      // Code escaped inside a JSON string ends at the string's closing quote
+      if (code.includes('\\n')) {
+        code = code.split(/(?<!\\)"/)[0];
+      }
+
+      // Clean up the code - convert escaped newlines to real ones
+      code = code
+        .replace(/\\n/g, '\n')
+        .replace(/\\t/g, '    ')
+        .replace(/\\"/g, '"')
+        .replace(/\\\\/g, '\\')
+        .trim();
+
+      // Stop at common boundaries (next code block, etc.)
+      const endMarkers = ['```', '## ', '### ', '**Time', '**Space'];
+      for (const marker of endMarkers) {
+        const idx = code.indexOf(marker);
+        if (idx > 0) {
+          code = code.substring(0, idx).trim();
+        }
+      }
+
+      // Only keep if it looks like valid Python
+      if (code.includes('def ') && code.length > 50 && code.length < 5000) {
+        solutions.push(code);
+      }
+    }
+
+    if (solutions.length === 0) return null;
+
+    // The last solution is typically the optimal one on NeetCode
+    return { url, solutions, optimalSolution: solutions[solutions.length - 1] };
+  }
+};
+
+/**
+ * Top-voted Python posts from LeetCode's discussion section
+ */
+const discussionProvider = {
+  id: 'leetcode-discussion',
+  name: 'LeetCode discussion',
+  priority: 30,
+  languages: ['python3'],
+
+  async fetch(problem) {
+    if (!problem.id) return null;
+
+    const query = `
+      query questionTopicsList($questionId: String!, $orderBy: TopicSortingOption, $skip: Int!, $first: Int!, $tags: [String!]) {
+        questionTopicsList(questionId: $questionId, orderBy: $orderBy, skip: $skip, first: $first, tags: $tags) {
+          edges {
+            node {
+              id
+              title
+              post {
+                content
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await getHttpClient().post(LEETCODE_GRAPHQL_URL, {
+      query,
+      variables: {
+        questionId: String(problem.id),
+        orderBy: 'most_votes',
+        skip: 0,
+        first: 3,  // Get top 3 voted Python solutions
+        tags: ['python3']
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    const edges = response.data?.data?.questionTopicsList?.edges;
+    if (!edges || edges.length === 0) return null;
+
+    return {
+      url: `https://leetcode.com/problems/${problem.slug}/solutions/?languageTags=python3`,
+      posts: edges.map(edge => edge.node?.post?.content).filter(Boolean)
+    };
+  },
+
+  parse({ url, posts }) {
+    const solutions = posts.flatMap(extractDiscussionCode);
+    if (solutions.length === 0) return null;
+
+    // First one is most voted
+    return { url, solutions, optimalSolution: solutions[0] };
+  }
+};
+
+/**
+ * Solutions from a local directory (e.g. a team's curated solutions repo)
+ *
+ * Reads <directory>/<slug>.<ext> or every <directory>/<slug>/*.<ext> file
+ * for the language. A file named optimal.<ext> is the optimal solution,
+ * otherwise the first file is.
+ */
+function createLocalProvider(options = {}) {
+  const directory = options.directory ? path.resolve(__dirname, options.directory) : null;
+
+  return {
+    id: 'local',
+    name: options.name || 'Local solutions',
+    priority: 10,
+    languages: Object.keys(LANGUAGE_EXTENSIONS),
+
+    async fetch(problem, language) {
+      const ext = LANGUAGE_EXTENSIONS[language];
+      if (!directory || !ext) return null;
+
+      const files = [];
+      const single = path.join(directory, `${problem.slug}${ext}`);
+      if (fs.existsSync(single)) files.push(single);
+
+      const folder = path.join(directory, problem.slug);
+      if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) {
+        fs.readdirSync(folder)
+          .filter(f => f.endsWith(ext))
+          .sort()
+          .forEach(f => files.push(path.join(folder, f)));
+      }
+
+      if (files.length === 0) return null;
+      return files.map(file => ({ file, code: fs.readFileSync(file, 'utf-8').trim() }));
+    },
+
+    parse(files) {
+      const usable = files.filter(f => f.code);
+      if (usable.length === 0) return null;
+
+      const optimal = usable.find(f => path.basename(f.file).startsWith('optimal.')) || usable[0];
+      return {
+        url: optimal.file,
+        solutions: usable.map(f => f.code),
+        optimalSolution: optimal.code
+      };
+    }
+  };
+}
+
+// Provider factories by id; each takes that provider's config entry
+const PROVIDER_FACTORIES = {
+  local: createLocalProvider,
+  neetcode: () => neetcodeProvider,
+  'leetcode-discussion': () => discussionProvider
+};
+
+// Used when solution-providers.json does not exist
+const DEFAULT_PROVIDER_CONFIG = {
+  fetchAll: false,
+  providers: [
+    { id: 'neetcode', enabled: true },
+    { id: 'leetcode-discussion', enabled: true }
+  ]
+};
+
+// Config read from PROVIDER_CONFIG_FILE on first use (see getProviderConfig)
+let providerConfig = null;
+
+/**
+ * Check a parsed provider config; returns a list of problems (empty when valid)
+ */
+function validateProviderConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['not a JSON object'];
+
+  const errors = [];
+  if (config.fetchAll !== undefined && typeof config.fetchAll !== 'boolean') {
+    errors.push('fetchAll must be true or false');
+  }
+  if (config.providers !== undefined && !Array.isArray(config.providers)) {
+    errors.push('providers must be a list');
+    return errors;
+  }
+
+  for (const entry of config.providers || []) {
+    if (!entry || typeof entry !== 'object' || !PROVIDER_FACTORIES[entry.id]) {
+      errors.push(`unknown provider ${JSON.stringify(entry && typeof entry === 'object' ? entry.id : entry)} (available: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    } else if (entry.priority !== undefined && typeof entry.priority !== 'number') {
+      errors.push(`priority of ${entry.id} must be a number`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load the provider config
+ *
+ * { fetchAll, providers: [{ id, enabled, priority?, ...provider options }] }.
+ * Providers missing from the list stay off; fetchAll keeps asking providers
+ * after the first one that has a solution. A file that can't be read or
+ * fails validation is reported and the defaults are used instead.
+ */
+function loadProviderConfig(filePath = PROVIDER_CONFIG_FILE) {
+  if (!fs.existsSync(filePath)) return DEFAULT_PROVIDER_CONFIG;
+
+  let config;
+  let errors;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    errors = validateProviderConfig(config);
+  } catch (err) {
+    errors = [`unreadable: ${err.message}`];
+  }
+
+  if (errors.length > 0) {
+    console.warn(`⚠ Ignoring ${path.basename(filePath)} (${errors.join('; ')}) - using the default providers`);
+    return DEFAULT_PROVIDER_CONFIG;
+  }
+  return { fetchAll: false, providers: [], ...config };
+}
+
+/**
+ * Get the provider config, loading solution-providers.json the first time
+ */
+function getProviderConfig() {
+  if (!providerConfig) providerConfig = loadProviderConfig();
+  return providerConfig;
+}
+
+/**
+ * Get the enabled providers, lowest priority first
+ *
+ * A priority in the config entry overrides the provider's own; ties keep
+ * the config's order
+ */
+function getProviders(config = getProviderConfig()) {
+  return config.providers
+    .filter(entry => entry.enabled !== false)
+    .map((entry, order) => {
+      const provider = PROVIDER_FACTORIES[entry.id](entry);
+      return { provider, priority: entry.priority ?? provider.priority, order };
+    })
+    .sort((a, b) => a.priority - b.priority || a.order - b.order)
+    .map(({ provider }) => provider);
+}
+
+/**
+ * Key for a solution entry in a record's `solutions` map
+ *
+ * Python entries keep the bare provider id, as records cached before other
+ * languages were fetched have it; other languages get "<provider>:<language>"
+ */
+function getSolutionKey(entry) {
+  const language = entry.language || 'python3';
+  return language === 'python3' ? entry.provider : `${entry.provider}:${language}`;
+}
+
+/**
+ * Key a list of solution entries for a record's `solutions` field
+ */
+function toSolutionMap(entries) {
+  return Object.fromEntries(entries.map(entry => [getSolutionKey(entry), entry]));
+}
+
+/**
+ * Run one provider for a problem
+ *
+ * Returns the cached solution entry, with source attribution, or null
+ */
+async function runProvider(provider, problem, language = 'python3') {
+  if (!provider.languages.includes(language)) return null;
+
+  const raw = await provider.fetch(problem, language);
+  if (!raw) return null;
+
+  const parsed = provider.parse(raw, problem, language);
+  if (!parsed || parsed.solutions.length === 0) return null;
+
+  const solutions = [...new Set(parsed.solutions)];
+  return {
+    provider: provider.id,
+    source: provider.name,
+    url: parsed.url,
+    language,
+    solutions,
+    optimalSolution: parsed.optimalSolution || solutions[0],
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fetch solutions for a problem ({ id, slug }) from the enabled providers
+ *
+ * Providers that support options.language (python3 by default) run in
+ * priority order until one has a solution (all of them with fetchAll). A
+ * failing provider is reported and skipped. Returns the entries keyed by
+ * getSolutionKey (empty when nobody had a solution).
+ */
+async function fetchSolutions(problem, options = {}) {
+  const config = options.config || getProviderConfig();
+  const language = options.language || 'python3';
+  const skip = options.skip || [];
+  const found = {};
+
+  for (const provider of getProviders(config)) {
+    if (skip.includes(provider.id)) continue;
+
+    try {
+      const entry = await runProvider(provider, problem, language);
+      if (!entry) continue;
+
+      found[getSolutionKey(entry)] = entry;
+      if (!config.fetchAll) break;
+    } catch (error) {
+      console.error(`Error fetching ${provider.name} solution for ${problem.slug}:`, error.message);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Get a record's cached solutions, best provider first
+ *
+ * Only the given language's when one is passed; entries without a
+ * language are Python. Records cached before providers existed only have
+ * neetcodeSolution, which may actually have come from the discussion section
+ */
+function getCachedSolutions(record, language = null) {
+  let entries = [];
+  if (record.solutions && !Array.isArray(record.solutions)) {
+    const rank = new Map(getProviders().map((p, i) => [p.id, i]));
+    entries = Object.values(record.solutions)
+      .sort((a, b) => (rank.get(a.provider) ?? Infinity) - (rank.get(b.provider) ?? Infinity));
+  } else if (record.neetcodeSolution) {
+    const legacy = record.neetcodeSolution;
+    const provider = legacy.source === 'leetcode_discussion' ? discussionProvider : neetcodeProvider;
+    entries = [{ ...legacy, provider: provider.id, source: provider.name, language: 'python3' }];
+  }
+
+  return language ? entries.filter(entry => (entry.language || 'python3') === language) : entries;
+}
+
+module.exports = {
+  PROVIDER_CONFIG_FILE,
+  DEFAULT_PROVIDER_CONFIG,
+  LANGUAGE_EXTENSIONS,
+  neetcodeProvider,
+  discussionProvider,
+  createLocalProvider,
+  loadProviderConfig,
+  getProviderConfig,
+  getProviders,
+  getSolutionKey,
+  toSolutionMap,
+  runProvider,
+  fetchSolutions,
+  getCachedSolutions
+};
@@ -0,0 +1,179 @@
+/**
+ * Data Structure Helpers
+ *
+ * Python ListNode/TreeNode definitions with builders and serializers for
+ * LeetCode's notation: linked lists as [1,2,3] and binary trees in level
+ * order with null for missing children, e.g. [3,9,20,null,null,15,7].
+ * Also replays design-problem operation sequences.
+ */
+
+const { toPythonLiteral } = require('./testcases');
+
+// Node types that get helpers, with the builder used for their inputs
+const NODE_TYPES = {
+  ListNode: 'build_list',
+  TreeNode: 'build_tree'
+};
+
+const PYTHON_LIST_NODE = `class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+def build_list(values):
+    """Build a linked list from LeetCode notation, e.g. [1,2,3]"""
+    dummy = ListNode()
+    tail = dummy
+    for value in values or []:
+        tail.next = ListNode(value)
+        tail = tail.next
+    return dummy.next
+
+
+def list_values(head):
+    values = []
+    while head:
+        values.append(head.val)
+        head = head.next
+    return values
+`;
+
+const PYTHON_TREE_NODE = `class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+
+
+def build_tree(values):
+    """Build a binary tree from LeetCode level-order notation, e.g. [3,9,20,null,null,15,7]"""
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = deque([root])
+    i = 1
+    while queue and i < len(values):
+        node = queue.popleft()
+        if i < len(values) and values[i] is not None:
+            node.left = TreeNode(values[i])
+            queue.append(node.left)
+        i += 1
+        if i < len(values) and values[i] is not None:
+            node.right = TreeNode(values[i])
+            queue.append(node.right)
+        i += 1
+    return root
+
+
+def tree_values(root):
+    values = []
+    queue = deque([root])
+    while queue:
+        node = queue.popleft()
+        if node is None:
+            values.append(None)
+            continue
+        values.append(node.val)
+        queue.append(node.left)
+        queue.append(node.right)
+    while values and values[-1] is None:
+        values.pop()
+    return values
+`;
+
+const PYTHON_SHOW = `def to_plain(value):
+    """Turn nodes in a result back into LeetCode notation lists"""
+    kind = type(value).__name__
+    if kind == 'ListNode':
+        return list_values(value)
+    if kind == 'TreeNode':
+        return tree_values(value)
+    if isinstance(value, (list, tuple)):
+        return [to_plain(v) for v in value]
+    return value
+
+
+def show(value):
+    return json.dumps(to_plain(value), separators=(',', ':'))
+`;
+
+const PYTHON_DESIGN = `def run_operations(cls, operations, arguments):
+    """Replay a design problem's operations; the constructor's result is null like LeetCode's"""
+    obj = cls(*arguments[0])
+    results = [None]
+    for name, args in zip(operations[1:], arguments[1:]):
+        results.append(getattr(obj, name)(*args))
+    return results
+
+
+def check_operations(label, cls, operations, arguments, expected=None):
+    """Replay operations and compare the results with the example's expected output"""
+    actual = to_plain(run_operations(cls, operations, arguments))
+    if expected is None:
+        print(f"{label}: {show(actual)}")
+    elif actual == expected:
+        print(f"{label}: PASS")
+    else:
+        print(f"{label}: FAIL")
+        print(f"  Expected: {show(expected)}")
+        print(f"  Actual:   {show(actual)}")
+`;
+
+/**
+ * Get the node types a problem's Python snippet uses
+ */
+function getPythonNodeTypes(problemData) {
+  const pythonCode = (problemData.codeSnippets || []).find(s => s.langSlug === 'python3' || s.langSlug === 'python');
+  if (!pythonCode) return [];
+
+  return Object.keys(NODE_TYPES).filter(type => new RegExp(`\\b${type}\\b`).test(pythonCode.code));
+}
+
+/**
+ * Generate the Python helper block for the given node types
+ *
+ * Design problems also get run_operations for replaying operation sequences
+ */
+function generatePythonHelpers(types, design = false) {
+  if (types.length === 0 && !design) return '';
+
+  const parts = ['import json\nfrom collections import deque\n'];
+  if (types.includes('ListNode')) parts.push(PYTHON_LIST_NODE);
+  if (types.includes('TreeNode')) parts.push(PYTHON_TREE_NODE);
+  parts.push(PYTHON_SHOW);
+  if (design) parts.push(PYTHON_DESIGN);
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Check whether a base type (see describeMetaType) is a node type
+ */
+function isNodeType(base) {
+  return Object.prototype.hasOwnProperty.call(NODE_TYPES, base);
+}
+
+/**
+ * Render a typed example value as a Python argument, building nodes
+ */
+function pythonArgument(typed) {
+  if (!typed.valid) return typed.raw;
+  if (!isNodeType(typed.base)) return toPythonLiteral(typed.value);
+
+  const builder = NODE_TYPES[typed.base];
+  const build = (value, dims) => {
+    if (dims === 0 || !Array.isArray(value)) return `${builder}(${toPythonLiteral(value)})`;
+    return `[${value.map(v => build(v, dims - 1)).join(', ')}]`;
+  };
+
+  return build(typed.value, typed.dims);
+}
+
+module.exports = {
+  NODE_TYPES,
+  getPythonNodeTypes,
+  generatePythonHelpers,
+  isNodeType,
+  pythonArgument
+};
@@ -0,0 +1,51 @@
+const { CACHE_DIR } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const scraper = require('../scraper');
+
+test('the cache lives in LEETCODE_CACHE_DIR', () => {
+  assert.strictEqual(scraper.CACHE_ROOT, CACHE_DIR);
+});
+
+test('a downloaded problem round-trips through the cache', async () => {
+  const saved = await scraper.downloadProblem('two-sum', 'Amazon', { frequency: 90, periods: ['All'] });
+  const loaded = scraper.loadProblemCache('two-sum');
+
+  assert.deepStrictEqual(loaded, JSON.parse(JSON.stringify(saved)));
+  assert.strictEqual(loaded.title, 'Two Sum');
+  assert.strictEqual(loaded.examples.length, 3);
+  assert.deepStrictEqual(Object.keys(loaded.solutions), ['neetcode']);
+  assert.deepStrictEqual(loaded.companies.map(c => c.name), ['Amazon']);
+  assert.ok(scraper.isProblemCached('two-sum'));
+  assert.ok(fs.existsSync(path.join(CACHE_DIR, 'problems', 'two-sum.json')));
+});
+
+test('rebuilding the index finds the cached files', async () => {
+  await scraper.downloadProblem('valid-parentheses');
+  fs.rmSync(scraper.CACHE_INDEX_FILE);
+
+  scraper.rebuildCacheIndex();
+
+  const index = scraper.loadCacheIndex();
+  assert.deepStrictEqual(Object.keys(index.problems).sort(), ['two-sum', 'valid-parentheses']);
+  assert.strictEqual(scraper.loadProblemCache('valid-parentheses').difficulty, 'Easy');
+});
+
+test('a problem LeetCode does not have is not cached', async () => {
+  await assert.rejects(scraper.requestProblemDetails('no-such-problem'));
+  assert.strictEqual(scraper.isProblemCached('no-such-problem'), false);
+});
+
+test('a corrupt cache file is quarantined on load', () => {
+  fs.writeFileSync(path.join(CACHE_DIR, 'problems', 'valid-parentheses.json'), '{ not json');
+
+  assert.strictEqual(scraper.loadProblemCache('valid-parentheses'), null);
+  assert.strictEqual(scraper.isProblemCached('valid-parentheses'), false);
+
+  const [entry] = scraper.getQuarantineReport();
+  assert.strictEqual(entry.file, path.join('problems', 'valid-parentheses.json'));
+  assert.ok(fs.existsSync(path.join(CACHE_DIR, entry.quarantinedAs)));
+});
@@ -0,0 +1,38 @@
+/**
+ * Shared test setup
+ *
+ * Require this before any repo module: it switches HTTP to replay mode
+ * against fixtures/ (no network) and points the problem cache at a fresh
+ * temp folder that is removed when the test process exits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LEETCODE_HTTP_MODE = 'replay';
+process.env.LEETCODE_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'leetcode-cache-'));
+process.env.LEETCODE_CACHE_DIR = CACHE_DIR;
+
+process.on('exit', () => {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Load the recorded GraphQL question for a slug
+ */
+function loadQuestionFixture(slug) {
+  const fixturesDir = process.env.LEETCODE_FIXTURES_DIR;
+  for (const file of fs.readdirSync(fixturesDir)) {
+    if (!file.startsWith(`post-leetcode.com_graphql-${slug}-`)) continue;
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf-8')).response.data.data.question;
+  }
+  throw new Error(`No question fixture for ${slug}`);
+}
+
+module.exports = {
+  CACHE_DIR,
+  loadQuestionFixture
+};
@@ -0,0 +1,57 @@
+const { loadQuestionFixture } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LANGUAGES, getUnsupportedReason, generateSolutionFile } = require('../languages');
+
+/**
+ * A problem with the given metaData
+ */
+function withMeta(meta) {
+  return { title: 'Example', metaData: JSON.stringify(meta), codeSnippets: [] };
+}
+
+test('linked list, tree and design problems are refused outside Python', () => {
+  const list = withMeta({ name: 'reverseList', params: [{ name: 'head', type: 'ListNode' }], return: { type: 'ListNode' } });
+  const trees = withMeta({ name: 'merge', params: [{ name: 'roots', type: 'TreeNode[]' }], return: { type: 'integer' } });
+  const design = withMeta({ classname: 'LRUCache', constructor: { params: [] }, methods: [] });
+
+  assert.match(getUnsupportedReason(list, 'java'), /ListNode/);
+  assert.match(getUnsupportedReason(trees, 'golang'), /TreeNode/);
+  assert.match(getUnsupportedReason(design, 'cpp'), /design problem \(class LRUCache\)/);
+  assert.strictEqual(getUnsupportedReason(list, 'python3'), null);
+});
+
+test('problems with plain values get a harness in every language', () => {
+  const problem = loadQuestionFixture('two-sum');
+
+  for (const lang of ['java', 'cpp', 'javascript', 'typescript', 'golang']) {
+    assert.strictEqual(getUnsupportedReason(problem, lang), null, lang);
+  }
+
+  const java = generateSolutionFile(problem, 'java');
+  assert.match(java, /int\[\] nums = new int\[\]\{2, 7, 11, 15\};/);
+  assert.doesNotMatch(java, /build these inputs by hand/);
+});
+
+test('a Go harness with no runnable tests leaves out the fmt import', () => {
+  const problem = loadQuestionFixture('two-sum');
+  const golang = problem.codeSnippets.find(s => s.langSlug === 'golang');
+  // One parameter against two example inputs, so every example is skipped
+  const mismatched = { ...problem, codeSnippets: [{ ...golang, code: 'func twoSum(nums []int) []int {\n\n}' }] };
+
+  assert.match(generateSolutionFile(problem, 'golang'), /import "fmt"/);
+  const file = generateSolutionFile(mismatched, 'golang');
+  assert.match(file, /build these inputs by hand/);
+  assert.doesNotMatch(file, /fmt/);
+});
+
+test('void methods without parameters print a done line', () => {
+  const sig = { name: 'reset', params: [], returnType: 'void' };
+
+  for (const lang of ['java', 'cpp', 'javascript', 'typescript', 'golang']) {
+    const block = LANGUAGES[lang].renderTest(sig, [], 1);
+    assert.match(block, /reset\(\)/, lang);
+    assert.match(block, /Test 1: done/, lang);
+  }
+});
@@ -0,0 +1,53 @@
+const { loadQuestionFixture } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToMarkdown, parseExampleText, parseProblemContent } = require('../markdown');
+
+test('htmlToMarkdown converts inline markup, entities and lists', () => {
+  const markdown = htmlToMarkdown('<p>Use <code>x</code> and <strong>b</strong> &lt;3</p><ul><li>a</li><li>b</li></ul>');
+  assert.strictEqual(markdown, 'Use `x` and **b** <3\n\n- a\n- b');
+});
+
+test('htmlToMarkdown handles empty input', () => {
+  assert.strictEqual(htmlToMarkdown(''), '');
+});
+
+test('parseExampleText splits input, output and explanation', () => {
+  const example = parseExampleText('Input: nums = [3,3], target = 6\nOutput: [0,1]\nExplanation: Both threes.');
+  assert.strictEqual(example.input, 'nums = [3,3], target = 6');
+  assert.strictEqual(example.output, '[0,1]');
+  assert.strictEqual(example.explanation, 'Both threes.');
+});
+
+test('parseProblemContent reads <pre> examples and constraints', () => {
+  const { statement, examples, constraints } = parseProblemContent(loadQuestionFixture('two-sum').content);
+
+  assert.match(statement, /^Given an array of integers `nums` and an integer `target`/);
+  assert.doesNotMatch(statement, /Example|Constraints/);
+  assert.deepStrictEqual(examples.map(e => [e.input, e.output]), [
+    ['nums = [2,7,11,15], target = 9', '[0,1]'],
+    ['nums = [3,2,4], target = 6', '[1,2]'],
+    ['nums = [3,3], target = 6', '[0,1]']
+  ]);
+  assert.strictEqual(examples[0].explanation, 'Because nums[0] + nums[1] == 9, we return [0, 1].');
+  assert.deepStrictEqual(constraints, [
+    '2 <= nums.length <= 10^4',
+    '-10^9 <= nums[i] <= 10^9',
+    '-10^9 <= target <= 10^9',
+    'Only one valid answer exists.'
+  ]);
+});
+
+test('parseProblemContent reads example-block examples', () => {
+  const { examples } = parseProblemContent(loadQuestionFixture('valid-parentheses').content);
+
+  assert.deepStrictEqual(examples.map(e => [e.input, e.output, e.explanation]), [
+    ['s = "()"', 'true', ''],
+    ['s = "(]"', 'false', 'Mismatched.']
+  ]);
+});
+
+test('parseProblemContent handles missing content', () => {
+  assert.deepStrictEqual(parseProblemContent(null), { statement: '', examples: [], constraints: [] });
+});
@@ -0,0 +1,19 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatDate, parseDate } = require('../plan');
+
+test('parseDate reads YYYY-MM-DD and "today" as local midnight', () => {
+  const now = new Date(2025, 5, 14, 17, 30);
+
+  assert.strictEqual(formatDate(parseDate('2024-02-29')), '2024-02-29');
+  assert.strictEqual(formatDate(parseDate('today', now)), '2025-06-14');
+  assert.strictEqual(parseDate(undefined, now).getHours(), 0);
+});
+
+test('parseDate rejects dates that do not exist', () => {
+  for (const value of ['2025-02-30', '2025-02-29', '2025-13-01', '2025-04-31', '2025-00-10', '2025-6-1', 'tomorrow']) {
+    assert.throws(() => parseDate(value), { message: new RegExp(`^Invalid date: ${value}`) }, value);
+  }
+});
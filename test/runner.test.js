@@ -0,0 +1,57 @@
+const { loadQuestionFixture } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToMarkdown, parseProblemContent } = require('../markdown');
+const { runExamples } = require('../runner');
+
+/**
+ * A cache record built from a recorded question
+ */
+function loadRecord(slug) {
+  const data = loadQuestionFixture(slug);
+  return {
+    ...data,
+    slug,
+    description: htmlToMarkdown(data.content),
+    ...parseProblemContent(data.content)
+  };
+}
+
+const TWO_SUM = `
+class Solution:
+    def twoSum(self, nums: List[int], target: int) -> List[int]:
+        seen = {}
+        for i, n in enumerate(nums):
+            if target - n in seen:
+                return [seen[target - n], i]
+            seen[n] = i
+`;
+
+test('runExamples checks each example against its expected output', async () => {
+  const results = await runExamples(loadRecord('two-sum'), TWO_SUM);
+
+  assert.deepStrictEqual(results.map(r => [r.index, r.status, r.actual]), [
+    [1, 'pass', '[0, 1]'],
+    [2, 'pass', '[1, 2]'],
+    [3, 'pass', '[0, 1]']
+  ]);
+});
+
+test('runExamples reports errors and timeouts without blocking', async () => {
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 10);
+  const slow = 'class Solution:\n    def twoSum(self, nums, target):\n        while True: pass\n';
+
+  try {
+    const [result] = await runExamples(loadRecord('two-sum'), slow, { timeout: 300 });
+    assert.strictEqual(result.status, 'timeout');
+    assert.ok(ticks > 5, `timers only fired ${ticks} times while the example ran`);
+  } finally {
+    clearInterval(ticker);
+  }
+
+  const [broken] = await runExamples(loadRecord('two-sum'), 'class Solution:\n    def twoSum(self, nums, target):\n        return 1 / 0\n');
+  assert.strictEqual(broken.status, 'error');
+  assert.match(broken.stderr, /ZeroDivisionError/);
+});
@@ -0,0 +1,73 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createServer, sanitizeHtml } = require('../server');
+
+/**
+ * Start a server on a free port; resolves with the port
+ */
+async function listen(t, options = {}) {
+  const server = createServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+/**
+ * Send a request to the local server; resolves with { status, body }
+ */
+function request(port, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf-8')) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('requests for other hostnames are refused', async (t) => {
+  const port = await listen(t);
+
+  for (const host of [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`]) {
+    const res = await request(port, { path: '/api/problems', headers: { Host: host } });
+    assert.strictEqual(res.status, 200, host);
+  }
+
+  for (const host of [`evil.example:${port}`, 'localhost:1', `localhost.evil.example:${port}`]) {
+    const res = await request(port, { path: '/api/problems', headers: { Host: host } });
+    assert.strictEqual(res.status, 403, host);
+  }
+});
+
+test('sanitizeHtml keeps problem formatting', () => {
+  const html = '<p>Return <code>nums</code> with <strong>10<sup>5</sup></strong> items.</p>' +
+    '<img alt="tree" src="https://assets.leetcode.com/tree.jpg" width="300"><a href="/problems/two-sum/">link</a>';
+
+  assert.strictEqual(sanitizeHtml(html),
+    '<p>Return <code>nums</code> with <strong>10<sup>5</sup></strong> items.</p>' +
+    '<img alt="tree" src="https://assets.leetcode.com/tree.jpg" width="300">' +
+    '<a href="/problems/two-sum/" target="_blank" rel="noopener noreferrer">link</a>');
+});
+
+test('sanitizeHtml drops scripts, unknown tags, handlers and unsafe URLs', () => {
+  const cases = {
+    '<p onclick="x()" style="color:red">a</p><script>alert(1)</script>': '<p>a</p>',
+    '<svg><script>alert(1)</script><text>b</text></svg><math><mi>c</mi></math>': '',
+    '<meta http-equiv="refresh" content="0;url=https://evil.example"><base href="https://evil.example/"><link rel="import" href="x">': '',
+    '<font color="red">kept <b>text</b></font>': 'kept <b>text</b>',
+    '<a href="java&#x09;script:alert(1)">a</a>': '<a target="_blank" rel="noopener noreferrer">a</a>',
+    '<a href=" JavaScript:alert(1)">a</a>': '<a target="_blank" rel="noopener noreferrer">a</a>',
+    '<a href="vbscript:msgbox(1)">a</a>': '<a target="_blank" rel="noopener noreferrer">a</a>',
+    '<img src="data:text/html;base64,PHNjcmlwdD4=">': '<img>',
+    '<!-- note --><p>x</p>': '<p>x</p>'
+  };
+
+  for (const [html, expected] of Object.entries(cases)) {
+    assert.strictEqual(sanitizeHtml(html), expected, html);
+  }
+});
@@ -0,0 +1,28 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractSlug } = require('../scraper');
+const { getFixtureName } = require('../client');
+
+test('extractSlug reads the slug from problem links', () => {
+  assert.strictEqual(extractSlug('https://leetcode.com/problems/two-sum'), 'two-sum');
+  assert.strictEqual(extractSlug('https://leetcode.com/problems/two-sum/'), 'two-sum');
+  assert.strictEqual(extractSlug('https://leetcode.com/problems/two-sum/description/'), 'two-sum');
+  assert.strictEqual(extractSlug('http://www.leetcode.com/problems/lru-cache/solutions/'), 'lru-cache');
+});
+
+test('extractSlug returns null for links that are not problems', () => {
+  assert.strictEqual(extractSlug('https://leetcode.com/contest/weekly-contest-1'), null);
+  assert.strictEqual(extractSlug('https://example.com/problems/two-sum'), null);
+  assert.strictEqual(extractSlug(''), null);
+});
+
+test('getFixtureName is stable and tells different requests apart', () => {
+  const url = 'https://leetcode.com/graphql';
+  const name = getFixtureName('post', url, { query: 'q', variables: { titleSlug: 'two-sum' } });
+
+  assert.match(name, /^post-leetcode\.com_graphql-/);
+  assert.strictEqual(getFixtureName('POST', url, { query: 'q', variables: { titleSlug: 'two-sum' } }), name);
+  assert.notStrictEqual(getFixtureName('post', url, { query: 'q', variables: { titleSlug: 'lru-cache' } }), name);
+});
@@ -0,0 +1,117 @@
+const { CACHE_DIR } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_PROVIDER_CONFIG,
+  neetcodeProvider,
+  discussionProvider,
+  runProvider,
+  fetchSolutions,
+  getCachedSolutions,
+  loadProviderConfig,
+  getProviderConfig
+} = require('../solutions');
+
+test('NeetCode solutions are unescaped and the last one is optimal', async () => {
+  const entry = await runProvider(neetcodeProvider, { id: '1', slug: 'two-sum' });
+
+  assert.strictEqual(entry.provider, 'neetcode');
+  assert.strictEqual(entry.url, 'https://neetcode.io/solutions/two-sum');
+  assert.strictEqual(entry.solutions.length, 2);
+  for (const code of entry.solutions) {
+    assert.match(code, /^class Solution:\n/);
+    assert.doesNotMatch(code, /\\n|","/);
+  }
+  assert.strictEqual(entry.optimalSolution, entry.solutions[1]);
+  assert.match(entry.optimalSolution, /prevMap/);
+});
+
+test('a NeetCode 404 means no solution', async () => {
+  assert.strictEqual(await runProvider(neetcodeProvider, { id: '20', slug: 'valid-parentheses' }), null);
+});
+
+test('discussion posts without code are skipped and the top post is optimal', async () => {
+  const entry = await runProvider(discussionProvider, { id: '20', slug: 'valid-parentheses' });
+
+  assert.strictEqual(entry.provider, 'leetcode-discussion');
+  assert.strictEqual(entry.solutions.length, 2);
+  assert.strictEqual(entry.optimalSolution, entry.solutions[0]);
+  assert.match(entry.optimalSolution, /stack/);
+});
+
+test('a discussion without posts means no solution', async () => {
+  assert.strictEqual(await runProvider(discussionProvider, { id: '1', slug: 'two-sum' }), null);
+});
+
+test('fetchSolutions falls through to the next provider', async () => {
+  const config = {
+    fetchAll: false,
+    providers: [{ id: 'neetcode', enabled: true }, { id: 'leetcode-discussion', enabled: true }]
+  };
+
+  assert.deepStrictEqual(Object.keys(await fetchSolutions({ id: '1', slug: 'two-sum' }, { config })), ['neetcode']);
+  assert.deepStrictEqual(Object.keys(await fetchSolutions({ id: '20', slug: 'valid-parentheses' }, { config })), ['leetcode-discussion']);
+});
+
+test('solutions are fetched and cached per language', async () => {
+  const directory = path.join(CACHE_DIR, 'local-solutions');
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, 'two-sum.java'), 'class Solution { int[] twoSum(int[] nums, int target) { return null; } }');
+  const config = { fetchAll: true, providers: [{ id: 'local', directory }, { id: 'neetcode' }] };
+
+  const java = await fetchSolutions({ id: '1', slug: 'two-sum' }, { config, language: 'java' });
+  assert.deepStrictEqual(Object.keys(java), ['local:java']);
+  assert.strictEqual(java['local:java'].language, 'java');
+
+  const python = await fetchSolutions({ id: '1', slug: 'two-sum' }, { config });
+  const record = { solutions: { ...python, ...java } };
+  assert.deepStrictEqual(getCachedSolutions(record, 'java').map(e => e.provider), ['local']);
+  assert.deepStrictEqual(getCachedSolutions(record, 'python3').map(e => e.provider), ['neetcode']);
+});
+
+test('requests without a fixture fail instead of going online', async () => {
+  await assert.rejects(neetcodeProvider.fetch({ slug: 'not-recorded' }), { code: 'ENOFIXTURE' });
+});
+
+test('legacy neetcodeSolution records map to their provider', () => {
+  const [entry] = getCachedSolutions({ neetcodeSolution: { source: 'leetcode_discussion', solutions: ['x'] } });
+  assert.strictEqual(entry.provider, 'leetcode-discussion');
+  assert.deepStrictEqual(getCachedSolutions({}), []);
+});
+
+test('a valid provider config is merged over the defaults', () => {
+  const filePath = path.join(CACHE_DIR, 'providers-valid.json');
+  fs.writeFileSync(filePath, JSON.stringify({ providers: [{ id: 'neetcode', priority: 5 }] }));
+
+  assert.deepStrictEqual(loadProviderConfig(filePath), { fetchAll: false, providers: [{ id: 'neetcode', priority: 5 }] });
+});
+
+test('a malformed provider config falls back to the defaults with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const cases = {
+    'providers-broken.json': '{ "providers": [',
+    'providers-unknown.json': JSON.stringify({ providers: [{ id: 'nope' }] }),
+    'providers-shape.json': JSON.stringify({ fetchAll: 'yes', providers: {} })
+  };
+
+  for (const [name, text] of Object.entries(cases)) {
+    const filePath = path.join(CACHE_DIR, name);
+    fs.writeFileSync(filePath, text);
+    assert.strictEqual(loadProviderConfig(filePath), DEFAULT_PROVIDER_CONFIG, name);
+  }
+
+  assert.strictEqual(warn.mock.callCount(), 3);
+  assert.match(warn.mock.calls[1].arguments[0], /unknown provider "nope"/);
+});
+
+test('the provider config is read once', (t) => {
+  const first = getProviderConfig();
+  const read = t.mock.method(fs, 'readFileSync');
+
+  assert.strictEqual(getProviderConfig(), first);
+  getCachedSolutions({ solutions: { neetcode: { provider: 'neetcode' } } });
+  assert.strictEqual(read.mock.callCount(), 0);
+});
@@ -0,0 +1,28 @@
+const { CACHE_DIR } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { generatePythonTestCases } = require('../cli');
+
+test('string examples with quotes produce a solution.py that runs', () => {
+  const problemData = {
+    metaData: JSON.stringify({ name: 'countWords', params: [{ name: 's', type: 'string' }], return: { type: 'integer' } }),
+    exampleTestcases: '"Let\'s take LeetCode contest"\n"say \\"hi\\" \\\\ bye"',
+    codeSnippets: []
+  };
+  const source = `class Solution:
+    def countWords(self, s: str) -> int:
+        return len(s.split())
+
+${generatePythonTestCases(problemData, 'countWords')}`;
+
+  const filePath = path.join(CACHE_DIR, 'solution.py');
+  fs.writeFileSync(filePath, source);
+  const proc = spawnSync('python3', [filePath], { encoding: 'utf-8', timeout: 10000 });
+
+  assert.strictEqual(proc.status, 0, proc.stderr);
+  assert.strictEqual(proc.stdout, 'Test 1: 4\nTest 2: 4\n');
+});
@@ -0,0 +1,33 @@
+const { loadQuestionFixture } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToMarkdown } = require('../markdown');
+const { parseExpectedOutputs, getExpectedOutputs } = require('../testcases');
+
+test('expected outputs come from the description', () => {
+  const description = htmlToMarkdown(loadQuestionFixture('two-sum').content);
+  assert.deepStrictEqual(parseExpectedOutputs(description), ['[0,1]', '[1,2]', '[0,1]']);
+});
+
+test('an example without an output keeps the later outputs in place', () => {
+  const description = [
+    '**Input:** n = 1', '**Output:** 1', '',
+    '**Input:** n = 2', '**Explanation:** Any order works.', '',
+    '**Input:** n = 3', '**Output:**', '',
+    '**Input:** n = 4', '**Output:** 24'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseExpectedOutputs(description), ['1', undefined, undefined, '24']);
+});
+
+test('structured examples without an output map to undefined', () => {
+  const examples = [{ output: '[0,1]' }, { output: '' }, { output: '[\n  1,\n  2\n]' }];
+  assert.deepStrictEqual(getExpectedOutputs({ examples }), ['[0,1]', undefined, '[1,2]']);
+});
+
+test('design problem outputs on the line after the label are read', () => {
+  const description = htmlToMarkdown('<p><strong class="example">Example 1:</strong></p>' +
+    '<pre><strong>Input</strong>\n["LRUCache", "get"]\n[[2], [1]]\n<strong>Output</strong>\n[null, -1]\n</pre>');
+  assert.deepStrictEqual(parseExpectedOutputs(description), ['[null, -1]']);
+});
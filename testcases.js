@@ -0,0 +1,414 @@
+/**
+ * Test Case Parsing
+ *
+ * Turns cached LeetCode data into typed example inputs and expected outputs
+ * Shared by the template generators and the local solution runner
+ *
+ * Parameter names and types come from LeetCode's metaData field, using the
+ * same type names (integer[], list<string>, character[][], ListNode, ...).
+ * Problems cached before metaData was fetched fall back to the Python
+ * code snippet's type annotations, translated to those names.
+ */
+
+// Python annotation -> LeetCode metaData scalar type
+const PYTHON_SCALAR_TYPES = {
+  int: 'integer',
+  float: 'double',
+  str: 'string',
+  bool: 'boolean',
+  ListNode: 'ListNode',
+  TreeNode: 'TreeNode',
+  None: 'void'
+};
+
+// metaData scalar type -> base used by the value model
+const META_BASES = {
+  integer: 'int',
+  long: 'long',
+  double: 'double',
+  float: 'double',
+  boolean: 'bool',
+  string: 'string',
+  character: 'char',
+  ListNode: 'ListNode',
+  TreeNode: 'TreeNode',
+  void: 'void'
+};
+
+/**
+ * Split a parameter list on commas that are not nested in brackets
+ */
+function splitParams(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of text) {
+    if ('[(<{'.includes(ch)) depth++;
+    if ('])>}'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Translate a Python type annotation to a metaData type name
+ */
+function pythonTypeToMeta(annotation) {
+  let type = (annotation || '').replace(/\s+/g, '').replace(/^['"]|['"]$/g, '');
+
+  const optional = type.match(/^Optional\[(.+)\]$/);
+  if (optional) type = optional[1];
+
+  const list = type.match(/^(?:List|list)\[(.+)\]$/);
+  if (list) return `${pythonTypeToMeta(list[1])}[]`;
+
+  return PYTHON_SCALAR_TYPES[type] || type || 'unknown';
+}
+
+/**
+ * Parse the Python code snippet's method signature
+ *
+ * Comment lines are skipped so the commented-out ListNode/TreeNode
+ * definitions LeetCode prepends are not mistaken for the method
+ */
+function parsePythonSignature(code) {
+  if (!code) return null;
+
+  const source = code.split('\n').filter(l => !l.trim().startsWith('#')).join('\n');
+  const classMatch = source.match(/class\s+(\w+)/);
+  const defRegex = /def\s+(\w+)\s*\(/g;
+  let match;
+
+  while ((match = defRegex.exec(source)) !== null) {
+    if (match[1] === '__init__' && classMatch && classMatch[1] === 'Solution') continue;
+
+    // Scan to the matching close paren so nested brackets survive
+    let depth = 1;
+    let i = defRegex.lastIndex;
+    while (i < source.length && depth > 0) {
+      if (source[i] === '(') depth++;
+      if (source[i] === ')') depth--;
+      i++;
+    }
+
+    const paramText = source.substring(defRegex.lastIndex, i - 1);
+    const returnMatch = source.substring(i).match(/^\s*->\s*([^:\n]+?)\s*:/);
+    const params = splitParams(paramText)
+      .filter(p => p !== 'self')
+      .map(p => {
+        const [declaration] = splitParams(p.replace(/=/, ',')).slice(0, 1);
+        const [name, ...annotation] = declaration.split(':');
+        return { name: name.trim(), type: pythonTypeToMeta(annotation.join(':')) };
+      });
+
+    return {
+      name: match[1],
+      className: classMatch ? classMatch[1] : null,
+      params,
+      returnType: returnMatch ? pythonTypeToMeta(returnMatch[1]) : 'unknown'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse LeetCode's metaData (stored as a JSON string)
+ */
+function parseMetaData(metaData) {
+  if (!metaData) return null;
+  if (typeof metaData === 'object') return metaData;
+
+  try {
+    return JSON.parse(metaData);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Find the Python code snippet for a problem
+ */
+function findPythonSnippet(problemData) {
+  return (problemData.codeSnippets || []).find(s => s.langSlug === 'python3' || s.langSlug === 'python') || null;
+}
+
+/**
+ * Get the method signature for a problem
+ *
+ * Returns { name, params: [{ name, type }], returnType, design } where
+ * design marks class-based problems (LRU Cache, Min Stack, ...)
+ */
+function getSignature(problemData) {
+  const meta = parseMetaData(problemData.metaData);
+
+  if (meta && meta.classname) {
+    return { name: meta.classname, params: [], returnType: 'void', design: true, meta };
+  }
+
+  if (meta && meta.name && Array.isArray(meta.params)) {
+    return {
+      name: meta.name,
+      params: meta.params.map(p => ({ name: p.name, type: p.type })),
+      returnType: meta.return ? meta.return.type : 'unknown',
+      design: false
+    };
+  }
+
+  const pythonCode = findPythonSnippet(problemData);
+  const sig = pythonCode ? parsePythonSignature(pythonCode.code) : null;
+  if (!sig) return null;
+
+  if (sig.className && sig.className !== 'Solution') {
+    return { name: sig.className, params: [], returnType: 'void', design: true };
+  }
+
+  return {
+    name: sig.name,
+    params: sig.params,
+    returnType: sig.returnType,
+    design: false
+  };
+}
+
+/**
+ * Check whether a problem is a design problem (class replayed through operations)
+ */
+function isDesignProblem(problemData) {
+  const sig = getSignature(problemData);
+  return Boolean(sig && sig.design);
+}
+
+/**
+ * Describe a metaData type as { base, dims, list }
+ */
+function describeMetaType(type) {
+  let inner = (type || 'unknown').trim();
+  let dims = 0;
+  let list = false;
+
+  for (;;) {
+    const listMatch = inner.match(/^list<(.+)>$/);
+    if (listMatch) {
+      inner = listMatch[1].trim();
+      list = true;
+      dims++;
+    } else if (inner.endsWith('[]')) {
+      inner = inner.slice(0, -2);
+      dims++;
+    } else {
+      break;
+    }
+  }
+
+  return { base: META_BASES[inner] || inner, dims, list };
+}
+
+/**
+ * Convert one raw example line into a typed value
+ *
+ * kind is the base type for scalars and nodes, or list/matrix for
+ * one- and two-dimensional collections
+ */
+function parseTypedValue(raw, type) {
+  const desc = describeMetaType(type);
+  let value;
+  let valid = true;
+
+  try {
+    value = JSON.parse(raw);
+  } catch (err) {
+    value = raw;
+    valid = false;
+  }
+
+  let kind = desc.base;
+  if (desc.dims === 1) kind = 'list';
+  if (desc.dims >= 2) kind = 'matrix';
+
+  return { type, base: desc.base, dims: desc.dims, list: desc.list, kind, value, raw, valid };
+}
+
+/**
+ * Render a typed value as a Python literal
+ */
+function toPythonLiteral(value) {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (Array.isArray(value)) return `[${value.map(toPythonLiteral).join(', ')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.entries(value).map(([k, v]) => `${toPythonLiteral(k)}: ${toPythonLiteral(v)}`).join(', ')}}`;
+  }
+  if (typeof value === 'string') {
+    // JSON string escapes are valid Python escapes; only the quote changes
+    return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Extract function name from Python code snippet
+ */
+function extractPythonFunctionName(codeSnippet) {
+  const sig = parsePythonSignature(codeSnippet);
+  return sig ? sig.name : 'solution';
+}
+
+/**
+ * Parse test case inputs from LeetCode data
+ *
+ * Each test case keeps the raw lines (inputs) alongside typed values.
+ * Design problems return no cases here because their examples are
+ * operation sequences rather than function arguments (see parseDesignTestCases).
+ */
+function parseTestCases(problemData) {
+  if (!problemData.exampleTestcases) return [];
+
+  const sig = getSignature(problemData);
+  if (!sig || sig.design || sig.params.length === 0) return [];
+
+  const lines = problemData.exampleTestcases.split('\n').filter(l => l.trim());
+  const paramCount = sig.params.length;
+  const testCases = [];
+
+  // Group lines into test cases based on parameter count
+  for (let i = 0; i + paramCount <= lines.length; i += paramCount) {
+    const inputs = lines.slice(i, i + paramCount);
+    testCases.push({
+      params: sig.params.map(p => p.name),
+      types: sig.params.map(p => p.type),
+      inputs: inputs,
+      values: inputs.map((raw, j) => parseTypedValue(raw, sig.params[j].type))
+    });
+  }
+
+  return testCases;
+}
+
+/**
+ * Parse operation sequences for a design problem
+ *
+ * Each example is two lines: the operation names (constructor first) and
+ * the argument lists for each operation, e.g.
+ *   ["LRUCache","put","get"]
+ *   [[2],[1,1],[1]]
+ */
+function parseDesignTestCases(problemData) {
+  if (!problemData.exampleTestcases || !isDesignProblem(problemData)) return [];
+
+  const lines = problemData.exampleTestcases.split('\n').filter(l => l.trim());
+  const testCases = [];
+
+  for (let i = 0; i + 2 <= lines.length; i += 2) {
+    let operations;
+    let args;
+    try {
+      operations = JSON.parse(lines[i]);
+      args = JSON.parse(lines[i + 1]);
+    } catch (err) {
+      continue;
+    }
+
+    if (!Array.isArray(operations) || !Array.isArray(args) || operations.length !== args.length) continue;
+
+    testCases.push({
+      params: ['operations', 'arguments'],
+      inputs: [lines[i], lines[i + 1]],
+      operations,
+      arguments: args
+    });
+  }
+
+  return testCases;
+}
+
+/**
+ * Parse expected outputs from a problem description
+ *
+ * Reads the "Output:" lines from each example block of the Markdown description.
+ * Design problems put the value on the line after the label, and matrix
+ * outputs can wrap over several lines, so continuation lines are joined.
+ * Outputs stay at their example's position: an example whose Input has no
+ * Output (or an empty one) gets undefined.
+ */
+function parseExpectedOutputs(description) {
+  if (!description) return [];
+
+  const lines = description.split('\n');
+  const outputs = [];
+  // Slot of the example whose Output comes next (-1 when no Input is open)
+  let slot = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*\*{0,2}Input:?\*{0,2}:?/.test(lines[i])) {
+      outputs.push(undefined);
+      slot = outputs.length - 1;
+      continue;
+    }
+
+    const match = lines[i].match(/^\s*\*{0,2}Output:?\*{0,2}:?\s*(.*)$/);
+    if (!match) continue;
+
+    const parts = match[1].trim() ? [match[1].trim()] : [];
+    let j = i + 1;
+
+    // Skip blank lines between a bare label and its value
+    while (parts.length === 0 && j < lines.length && !lines[j].trim()) j++;
+
+    for (; j < lines.length; j++) {
+      const next = lines[j].trim();
+      if (!next || next.startsWith('**') || next.startsWith('```') || /^(Input|Output|Explanation)\b/.test(next)) break;
+      parts.push(next);
+    }
+
+    const value = parts.length > 0 ? parts.join('') : undefined;
+    if (slot === -1) {
+      outputs.push(value);
+    } else {
+      outputs[slot] = value;
+    }
+    slot = -1;
+  }
+
+  return outputs;
+}
+
+/**
+ * Get a problem's expected outputs, one per example
+ *
+ * Uses the structured examples cached with the problem, falling back to
+ * the description for records cached before those were parsed. Examples
+ * without an output get undefined, so outputs line up with the test cases.
+ */
+function getExpectedOutputs(problemData) {
+  if (Array.isArray(problemData.examples) && problemData.examples.length > 0) {
+    return problemData.examples.map(example => example.output
+      ? example.output.split('\n').map(line => line.trim()).join('')
+      : undefined);
+  }
+  return parseExpectedOutputs(problemData.description);
+}
+
+module.exports = {
+  extractPythonFunctionName,
+  findPythonSnippet,
+  parsePythonSignature,
+  getSignature,
+  isDesignProblem,
+  describeMetaType,
+  parseTypedValue,
+  toPythonLiteral,
+  parseTestCases,
+  parseDesignTestCases,
+  parseExpectedOutputs,
+  getExpectedOutputs
+};
@@ -0,0 +1,298 @@
+/**
+ * Web UI - problem table, problem page with hints, solution editor and
+ * example runner. Talks to the JSON API in server.js; the editor's code is
+ * kept per problem in localStorage.
+ */
+
+(function () {
+  // Rows rendered at once - narrow the filters to see the rest
+  const MAX_ROWS = 300;
+  const DIFFICULTY_ORDER = { EASY: 1, MEDIUM: 2, HARD: 3 };
+
+  const state = {
+    problems: [],
+    sort: 'frequency',
+    current: null
+  };
+
+  const $ = (id) => document.getElementById(id);
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  async function api(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.hint ? `${body.error}. ${body.hint}` : body.error);
+    }
+    return body;
+  }
+
+  // Frequency for the selected company, or the highest across companies
+  function frequencyOf(problem, company) {
+    const entries = company ? problem.companies.filter(c => c.name === company) : problem.companies;
+    return entries.reduce((max, c) => Math.max(max, c.frequency), 0);
+  }
+
+  // ---- Problem table ----
+
+  function fillSelect(select, values) {
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+  }
+
+  function getFilteredProblems() {
+    const query = $('search').value.trim().toLowerCase();
+    const company = $('company').value;
+    const difficulty = $('difficulty').value;
+    const topic = $('topic').value;
+    const cachedOnly = $('cached-only').checked;
+    const hideSolved = $('hide-solved').checked;
+
+    const filtered = state.problems.filter(p => {
+      if (company && !p.companies.some(c => c.name === company)) return false;
+      if (difficulty && p.difficulty !== difficulty) return false;
+      if (topic && !p.topics.includes(topic)) return false;
+      if (cachedOnly && !p.cached) return false;
+      if (hideSolved && p.status === 'solved') return false;
+      if (!query) return true;
+      return p.title.toLowerCase().includes(query) ||
+        p.slug.includes(query) ||
+        p.topics.some(t => t.toLowerCase().includes(query));
+    });
+
+    const compare = {
+      title: (a, b) => a.title.localeCompare(b.title),
+      difficulty: (a, b) => DIFFICULTY_ORDER[a.difficulty] - DIFFICULTY_ORDER[b.difficulty] || a.title.localeCompare(b.title),
+      frequency: (a, b) => frequencyOf(b, company) - frequencyOf(a, company) || a.title.localeCompare(b.title),
+      acceptance: (a, b) => (b.acceptance || 0) - (a.acceptance || 0)
+    }[state.sort];
+
+    return filtered.sort(compare);
+  }
+
+  function renderTable() {
+    const company = $('company').value;
+    const filtered = getFilteredProblems();
+    const shown = filtered.slice(0, MAX_ROWS);
+
+    $('count').textContent = filtered.length > MAX_ROWS
+      ? `Showing ${MAX_ROWS} of ${filtered.length} problems - narrow the filters to see more`
+      : `${filtered.length} problems`;
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      th.classList.toggle('sorted', th.dataset.sort === state.sort);
+    });
+
+    $('problems').querySelector('tbody').innerHTML = shown.map(p => `
+      <tr data-slug="${escapeHtml(p.slug)}" class="${p.cached ? '' : 'uncached'}" title="${p.cached ? '' : 'Not cached - run "node cli.js cache <company>" first'}">
+        <td>${escapeHtml(p.title)}</td>
+        <td class="${p.difficulty}">${escapeHtml(p.difficulty)}</td>
+        <td>${frequencyOf(p, company).toFixed(1)}</td>
+        <td>${p.acceptance ? `${Math.round(p.acceptance * 100)}%` : '-'}</td>
+        <td class="topics">${escapeHtml(p.topics.join(', '))}</td>
+        <td>${p.status ? `<span class="badge ${p.status}">${p.status}</span>` : ''}</td>
+      </tr>`).join('');
+  }
+
+  async function loadProblems() {
+    const { problems, companies } = await api('/api/problems');
+    state.problems = problems;
+
+    const topics = [...new Set(problems.flatMap(p => p.topics))].sort();
+    fillSelect($('company'), companies);
+    fillSelect($('topic'), topics);
+
+    const cached = problems.filter(p => p.cached).length;
+    const solved = problems.filter(p => p.status === 'solved').length;
+    $('summary').textContent = `${problems.length} problems, ${cached} cached, ${solved} solved`;
+  }
+
+  // ---- Problem page ----
+
+  function storageKey(slug) {
+    return `interview-prep:solution:${slug}`;
+  }
+
+  function renderHints(hints) {
+    const container = $('hints');
+    container.innerHTML = '';
+    let shown = 0;
+
+    if (hints.length === 0) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    const label = () => {
+      button.textContent = shown < hints.length ? `Show hint ${shown + 1}/${hints.length}` : 'No more hints';
+      button.disabled = shown >= hints.length;
+    };
+    button.addEventListener('click', () => {
+      const hint = document.createElement('div');
+      hint.className = 'hint';
+      hint.innerHTML = `<strong>Hint ${shown + 1}:</strong> ${hints[shown]}`;
+      container.insertBefore(hint, button);
+      shown++;
+      label();
+    });
+    label();
+    container.appendChild(button);
+  }
+
+  function renderProblem(problem) {
+    state.current = problem;
+
+    $('problem-title').textContent = problem.title;
+    $('problem-meta').innerHTML = [
+      `<span class="${problem.difficulty.toUpperCase()}">${escapeHtml(problem.difficulty)}</span>`,
+      escapeHtml(problem.companies.join(', ')),
+      `<span class="topics">${escapeHtml(problem.topics.join(', '))}</span>`,
+      problem.status ? `<span class="badge ${problem.status}">${problem.status}</span>` : '',
+      `<a href="${problem.url}" target="_blank" rel="noopener">LeetCode</a>`
+    ].filter(Boolean).join(' &middot; ');
+
+    $('problem-description').innerHTML = problem.html ||
+      `<pre class="markdown">${escapeHtml(problem.description || 'No description cached.')}</pre>`;
+
+    renderHints(problem.hints);
+
+    const reference = problem.solutions[0];
+    $('reference').hidden = !reference;
+    $('reference').open = false;
+    if (reference) {
+      $('reference-source').innerHTML = `From ${escapeHtml(reference.source)}${reference.url && /^https?:/.test(reference.url) ? ` (<a href="${escapeHtml(reference.url)}" target="_blank" rel="noopener">source</a>)` : ''}`;
+      $('reference-code').textContent = reference.code;
+    }
+
+    $('editor').value = localStorage.getItem(storageKey(problem.slug)) || problem.starterCode;
+    $('results').innerHTML = '';
+  }
+
+  function renderResults(results) {
+    if (results.length === 0) {
+      $('results').innerHTML = '<div class="result error">Could not parse any examples for this problem</div>';
+      return;
+    }
+
+    const passed = results.filter(r => r.status === 'pass').length;
+    const lines = results.map(r => {
+      const inputs = r.params.map((p, i) => `${p} = ${r.inputs[i]}`).join(', ');
+      const parts = [`Example ${r.index}: ${r.status} (${r.elapsedMs}ms)`, `Input:    ${inputs}`];
+      if (r.expected !== null) parts.push(`Expected: ${r.expected}`);
+      if (r.actual !== null) parts.push(`Actual:   ${r.actual}`);
+      if (r.status !== 'pass' && r.stderr) parts.push(r.stderr);
+      return `<div class="result ${r.status}">${escapeHtml(parts.join('\n'))}</div>`;
+    });
+
+    $('results').innerHTML = `<p><strong>${passed}/${results.length} examples passed</strong></p>${lines.join('')}`;
+  }
+
+  async function runExamples() {
+    const button = $('run');
+    button.disabled = true;
+    $('results').innerHTML = '<p>Running...</p>';
+
+    try {
+      const { results } = await api(`/api/problems/${state.current.slug}/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: $('editor').value })
+      });
+      renderResults(results);
+    } catch (err) {
+      $('results').innerHTML = `<div class="result error">${escapeHtml(err.message)}</div>`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ---- Editor ----
+
+  // Tab indents (4 spaces) instead of leaving the textarea
+  function handleEditorKeys(event) {
+    if (event.key !== 'Tab') return;
+    event.preventDefault();
+
+    const editor = event.target;
+    const { selectionStart: start, selectionEnd: end, value } = editor;
+    editor.value = value.slice(0, start) + '    ' + value.slice(end);
+    editor.selectionStart = editor.selectionEnd = start + 4;
+    editor.dispatchEvent(new Event('input'));
+  }
+
+  // ---- Routing (#/problem/<slug>) ----
+
+  async function route() {
+    const match = location.hash.match(/^#\/problem\/([\w-]+)$/);
+    $('list-view').hidden = Boolean(match);
+    $('problem-view').hidden = !match;
+
+    if (!match) {
+      state.current = null;
+      return;
+    }
+
+    try {
+      renderProblem(await api(`/api/problems/${match[1]}`));
+    } catch (err) {
+      $('problem-title').textContent = match[1];
+      $('problem-meta').textContent = '';
+      $('problem-description').innerHTML = `<p class="HARD">${escapeHtml(err.message)}</p>`;
+      $('hints').innerHTML = '';
+      $('reference').hidden = true;
+      $('editor').value = '';
+    }
+  }
+
+  async function init() {
+    ['search', 'company', 'difficulty', 'topic', 'cached-only', 'hide-solved'].forEach(id => {
+      $(id).addEventListener('input', renderTable);
+    });
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        state.sort = th.dataset.sort;
+        renderTable();
+      });
+    });
+
+    $('problems').addEventListener('click', event => {
+      const row = event.target.closest('tr[data-slug]');
+      if (row) location.hash = `#/problem/${row.dataset.slug}`;
+    });
+
+    $('back').addEventListener('click', event => {
+      event.preventDefault();
+      location.hash = '';
+    });
+
+    $('editor').addEventListener('keydown', handleEditorKeys);
+    $('editor').addEventListener('input', () => {
+      if (state.current) localStorage.setItem(storageKey(state.current.slug), $('editor').value);
+    });
+    $('reset').addEventListener('click', () => {
+      if (!state.current || !confirm('Replace your code with the starter code?')) return;
+      localStorage.removeItem(storageKey(state.current.slug));
+      $('editor').value = state.current.starterCode;
+    });
+    $('run').addEventListener('click', runExamples);
+
+    window.addEventListener('hashchange', route);
+
+    try {
+      await loadProblems();
+      renderTable();
+    } catch (err) {
+      $('count').textContent = `Could not load problems: ${err.message}`;
+    }
+    route();
+  }
+
+  init();
+})();